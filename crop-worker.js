@@ -1,4 +1,17 @@
 // High-performance crop worker with OffscreenCanvas and WebGL acceleration
+
+// Video elements expose videoWidth, decoded VideoFrames expose displayWidth
+function getSourceDimensions(source) {
+    return {
+        width: source.videoWidth || source.displayWidth || source.width,
+        height: source.videoHeight || source.displayHeight || source.height
+    };
+}
+
+function isVideoFrame(source) {
+    return typeof VideoFrame !== 'undefined' && source instanceof VideoFrame;
+}
+
 class AdvancedCropProcessor {
     constructor() {
         this.canvas = null;
@@ -136,6 +149,7 @@ class AdvancedCropProcessor {
         }
 
         const gl = this.gl;
+        const source = getSourceDimensions(videoElement);
         
         // Create texture from video
         const texture = gl.createTexture();
@@ -157,10 +171,10 @@ class AdvancedCropProcessor {
         // Set crop rectangle uniform (normalized coordinates)
         const cropRectLocation = gl.getUniformLocation(this.program, 'u_cropRect');
         gl.uniform4f(cropRectLocation, 
-            left / videoElement.videoWidth,
-            top / videoElement.videoHeight,
-            width / videoElement.videoWidth,
-            height / videoElement.videoHeight
+            left / source.width,
+            top / source.height,
+            width / source.width,
+            height / source.height
         );
         
         // Bind texture
@@ -205,10 +219,12 @@ class AdvancedCropProcessor {
 
     // Main processing function with smart caching
     async processFrame(videoElement, cropParams, frameTime) {
+        // Decoded frames are never revisited, so they skip the cache and its pixel readback
+        const useCache = !isVideoFrame(videoElement);
         const frameKey = `${frameTime}_${cropParams.left}_${cropParams.top}_${cropParams.width}_${cropParams.height}`;
         
         // Check cache first
-        const cached = this.getCachedFrame(frameKey);
+        const cached = useCache && this.getCachedFrame(frameKey);
         if (cached) {
             return cached;
         }
@@ -228,8 +244,10 @@ class AdvancedCropProcessor {
         }
         
         // Cache the result
-        const imageData = processedCanvas.getContext('2d').getImageData(0, 0, processedCanvas.width, processedCanvas.height);
-        this.setCachedFrame(frameKey, imageData);
+        if (useCache) {
+            const imageData = processedCanvas.getContext('2d').getImageData(0, 0, processedCanvas.width, processedCanvas.height);
+            this.setCachedFrame(frameKey, imageData);
+        }
         
         return processedCanvas;
     }
@@ -263,11 +281,31 @@ self.onmessage = async function(e) {
                     throw new Error('Processor not initialized');
                 }
                 
-                const { videoElement, cropParams, frameTime } = data;
-                const result = await processor.processFrame(videoElement, cropParams, frameTime);
+                // requestId is echoed back so the caller can match replies even when timestamps repeat
+                const { cropParams, frameTime, requestId } = data;
+                const source = data.frame || data.videoElement;
+                
+                // VideoFrames from the WebCodecs pipeline go back as a new VideoFrame for the encoder
+                if (isVideoFrame(source)) {
+                    let croppedFrame;
+                    try {
+                        await processor.processFrame(source, cropParams, frameTime);
+                        croppedFrame = new VideoFrame(offscreenCanvas, {
+                            timestamp: frameTime,
+                            duration: source.duration ?? undefined
+                        });
+                    } finally {
+                        source.close();
+                    }
+                    self.postMessage({ type: 'frame-processed', requestId, frameTime, frame: croppedFrame }, [croppedFrame]);
+                    break;
+                }
+                
+                const result = await processor.processFrame(source, cropParams, frameTime);
                 
                 self.postMessage({ 
                     type: 'frame-processed', 
+                    requestId,
                     frameTime,
                     imageData: result.getContext('2d').getImageData(0, 0, result.width, result.height)
                 });
@@ -286,6 +324,8 @@ self.onmessage = async function(e) {
     } catch (error) {
         self.postMessage({ 
             type: 'error', 
+            requestId: data && data.requestId,
+            frameTime: data && data.frameTime,
             error: error.message,
             stack: error.stack 
         });
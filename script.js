@@ -15,10 +15,49 @@ const CONFIG = {
     },
     STORAGE_KEYS: {
         RECORDINGS: 'webRecordings',      // where we save recordings
-        USER_PREFERENCES: 'userPreferences' // user settings
+        USER_PREFERENCES: 'userPreferences', // user settings
+        RECORDING_PROFILES: 'recordingProfiles', // named codec/bitrate presets
+        LIBRARY_FILTERS: 'libraryFilters',  // search, filter and sort state for saved recordings
+        RETENTION_LOG: 'retentionLog'       // recordings removed automatically by retention rules
     },
+    RETENTION_LOG_LIMIT: 200,    // oldest log entries are dropped past this
+    TRASH_PURGE_INTERVAL: 60 * 60 * 1000, // how often an open tab looks for expired trash
     ERROR_RECOVERY_ATTEMPTS: 3, // try 3 times if something fails
     CLEANUP_DELAY: 100,          // wait a bit before cleaning up
+    RECOVERY_STALE_AFTER: 15000, // sessions quiet this long are treated as crashed, not still recording in another tab
+    STORAGE_LIMIT_BYTES: 1024 * 1024 * 1024, // 1GB limit (1024MB)
+    SEEKABLE_REWRITE_LIMIT_BYTES: 256 * 1024 * 1024, // adding cues reads the whole file into memory, so bigger WebMs are kept as recorded
+    
+    // Starting set of recording profiles - users can edit these or add their own
+    DEFAULT_RECORDING_PROFILES: [
+        {
+            id: 'archive',
+            name: 'Archive',
+            codecs: ['vp9', 'av1', 'h264', 'vp8'],
+            videoBitsPerSecond: 12000000,
+            audioBitsPerSecond: 192000,
+            maxFrameRate: 60,
+            keyframeIntervalMs: 4000
+        },
+        {
+            id: 'upload-friendly',
+            name: 'Upload-friendly',
+            codecs: ['h264', 'vp9', 'vp8', 'av1'],
+            videoBitsPerSecond: 5000000,
+            audioBitsPerSecond: 128000,
+            maxFrameRate: 30,
+            keyframeIntervalMs: 2000
+        },
+        {
+            id: 'tiny-preview',
+            name: 'Tiny preview',
+            codecs: ['vp8', 'vp9', 'h264', 'av1'],
+            videoBitsPerSecond: 800000,
+            audioBitsPerSecond: 64000,
+            maxFrameRate: 15,
+            keyframeIntervalMs: 5000
+        }
+    ],
     
     // Filename handling patterns
     FILENAME_PATTERNS: {
@@ -116,12 +155,60 @@ function preserveUrlInTabTitle(tabTitle) {
      return result;
  }
 
+// Recordings are stored in three parts: metadata, one blob per version and a thumbnail.
+// These helpers convert between that layout and the full in-memory record the UI works with.
+function getRecordingBlobKey(recordingId, versionId) {
+    return `${recordingId}:${versionId}`;
+}
+
+function getRecordingBlobKeyRange(recordingId) {
+    return IDBKeyRange.bound(`${recordingId}:`, `${recordingId}:\uffff`);
+}
+
+function splitRecordForStorage(record) {
+    const source = { ...record };
+    ensureRecordingVersions(source);
+    
+    const blobs = [];
+    const versions = source.versions.map(({ blob, ...version }) => {
+        if (blob) {
+            blobs.push({
+                key: getRecordingBlobKey(source.id, version.id),
+                recordingId: source.id,
+                versionId: version.id,
+                blob
+            });
+        }
+        return version;
+    });
+    
+    const { blob, screenshot, ...metadata } = source;
+    metadata.versions = versions;
+    metadata.storageSize = getRecordingStorageSize(metadata); // for the storageSize index
+    return { metadata, blobs, screenshot: screenshot || null };
+}
+
+function joinRecordFromStorage(metadata, blobEntries, thumbnailEntry) {
+    const blobsByVersion = new Map((blobEntries || []).map(entry => [entry.versionId, entry.blob]));
+    const record = {
+        ...metadata,
+        versions: (metadata.versions || []).map(version => ({ ...version, blob: blobsByVersion.get(version.id) || null })),
+        screenshot: thumbnailEntry ? thumbnailEntry.screenshot : null
+    };
+    record.blob = getActiveRecordingVersion(record).blob;
+    return record;
+}
+
 // Add this new class after CONFIG
 class IndexedDBManager {
     constructor() {
         this.dbName = 'ScreenRecorderDB';
-        this.dbVersion = 1;
-        this.storeName = 'recordings';
+        this.dbVersion = 4;
+        this.storeName = 'recordings';                   // metadata only, so listing the library stays cheap
+        this.blobStoreName = 'recordingBlobs';           // one video blob per version, keyed `${id}:${versionId}`
+        this.thumbnailStoreName = 'recordingThumbnails'; // screenshot data URLs, keyed by recording id
+        this.sessionStoreName = 'recordingSessions'; // one entry per in-progress recording
+        this.chunkStoreName = 'recordingChunks';     // MediaRecorder chunks, keyed by [sessionId, index]
         this.db = null;
     }
 
@@ -142,24 +229,85 @@ class IndexedDBManager {
                     store.createIndex('timestamp', 'timestamp', { unique: false });
                     store.createIndex('filename', 'filename', { unique: false });
                 }
+                // v2: crash-safe recording - chunks are streamed here while recording runs
+                if (!db.objectStoreNames.contains(this.sessionStoreName)) {
+                    db.createObjectStore(this.sessionStoreName, { keyPath: 'sessionId' });
+                }
+                if (!db.objectStoreNames.contains(this.chunkStoreName)) {
+                    db.createObjectStore(this.chunkStoreName, { keyPath: ['sessionId', 'index'] });
+                }
+                // v3: index on storageSize so usage can be summed without loading blobs
+                const upgradeTransaction = event.target.transaction;
+                const recordingStore = upgradeTransaction.objectStore(this.storeName);
+                if (!recordingStore.indexNames.contains('storageSize')) {
+                    recordingStore.createIndex('storageSize', 'storageSize', { unique: false });
+                }
+                // v4: blobs and thumbnails get their own stores
+                if (!db.objectStoreNames.contains(this.blobStoreName)) {
+                    const blobStore = db.createObjectStore(this.blobStoreName, { keyPath: 'key' });
+                    blobStore.createIndex('recordingId', 'recordingId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.thumbnailStoreName)) {
+                    db.createObjectStore(this.thumbnailStoreName, { keyPath: 'recordingId' });
+                }
+                
+                // Older records carry their blobs and screenshot inline (and before v3 had no
+                // storageSize). Move each one out in this same transaction so nothing is lost
+                // if the upgrade is interrupted - it either all commits or the old data stays.
+                if (event.oldVersion > 0 && event.oldVersion < 4) {
+                    recordingStore.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+                        
+                        const { metadata, blobs, screenshot } = splitRecordForStorage(cursor.value);
+                        blobs.forEach(entry => upgradeTransaction.objectStore(this.blobStoreName).put(entry));
+                        if (screenshot) {
+                            upgradeTransaction.objectStore(this.thumbnailStoreName).put({ recordingId: metadata.id, screenshot });
+                        }
+                        cursor.update(metadata);
+                        cursor.continue();
+                    };
+                }
             };
         });
     }
 
+    // Takes a full record (blobs and screenshot inline) and spreads it over the three stores.
+    // Resolves with the id once everything has been written.
     async saveRecording(recordingData) {
         if (!this.db) await this.initDB();
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.add(recordingData);
+            const { metadata, blobs, screenshot } = splitRecordForStorage(recordingData);
+            if (metadata.id === undefined) delete metadata.id;
             
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+            const transaction = this.db.transaction([this.storeName, this.blobStoreName, this.thumbnailStoreName], 'readwrite');
+            const request = transaction.objectStore(this.storeName).add(metadata);
+            let id;
+            
+            // Blob keys need the id, which new records only get from add()
+            request.onsuccess = () => {
+                id = request.result;
+                blobs.forEach(entry => {
+                    transaction.objectStore(this.blobStoreName).put({
+                        ...entry,
+                        key: getRecordingBlobKey(id, entry.versionId),
+                        recordingId: id
+                    });
+                });
+                if (screenshot) {
+                    transaction.objectStore(this.thumbnailStoreName).put({ recordingId: id, screenshot });
+                }
+            };
+            
+            transaction.oncomplete = () => resolve(id);
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
-    async getAllRecordings() {
+    // Metadata only - use getRecording() when the video itself is needed.
+    // Recordings in the trash are left out unless asked for.
+    async getAllRecordings({ includeDeleted = false } = {}) {
         if (!this.db) await this.initDB();
         
         return new Promise((resolve, reject) => {
@@ -167,46 +315,389 @@ class IndexedDBManager {
             const store = transaction.objectStore(this.storeName);
             const request = store.getAll();
             
-            request.onsuccess = () => resolve(request.result);
+            request.onsuccess = () => resolve(includeDeleted ? request.result : request.result.filter(recording => !recording.deletedAt));
             request.onerror = () => reject(request.error);
         });
     }
 
-    async deleteRecording(id) {
+    async getDeletedRecordings() {
+        const recordings = await this.getAllRecordings({ includeDeleted: true });
+        return recordings.filter(recording => recording.deletedAt);
+    }
+
+    async getRecordingMetadata(id) {
         if (!this.db) await this.initDB();
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.delete(id);
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).get(id);
             
-            request.onsuccess = () => resolve();
+            request.onsuccess = () => resolve(request.result || null);
             request.onerror = () => reject(request.error);
         });
     }
 
-    async clearAllRecordings() {
+    // Full record with every version's blob and the screenshot put back inline, or null
+    async getRecording(id) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.blobStoreName, this.thumbnailStoreName], 'readonly');
+            const metadataRequest = transaction.objectStore(this.storeName).get(id);
+            const blobsRequest = transaction.objectStore(this.blobStoreName).index('recordingId').getAll(id);
+            const thumbnailRequest = transaction.objectStore(this.thumbnailStoreName).get(id);
+            
+            transaction.oncomplete = () => {
+                if (!metadataRequest.result) {
+                    resolve(null);
+                    return;
+                }
+                resolve(joinRecordFromStorage(metadataRequest.result, blobsRequest.result, thumbnailRequest.result));
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // One version's video without loading the rest; defaults to the active version
+    async getRecordingBlob(id, versionId = null) {
+        if (!this.db) await this.initDB();
+        
+        const metadata = versionId ? null : await this.getRecordingMetadata(id);
+        if (!versionId && !metadata) return null;
+        const key = getRecordingBlobKey(id, versionId || getActiveRecordingVersion(metadata).id);
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.blobStoreName], 'readonly');
+            const request = transaction.objectStore(this.blobStoreName).get(key);
+            
+            request.onsuccess = () => resolve(request.result ? request.result.blob : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Every screenshot as a Map of recording id -> data URL, for drawing the library list
+    async getThumbnails() {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.thumbnailStoreName], 'readonly');
+            const request = transaction.objectStore(this.thumbnailStoreName).getAll();
+            
+            request.onsuccess = () => resolve(new Map(request.result.map(entry => [entry.recordingId, entry.screenshot])));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Apply a patch to one recording in a single readwrite transaction, so a failure part-way
+    // leaves the old record intact. The id never changes. Blobs on patched versions are only
+    // written for versions not stored yet, and versions left out of the patch lose their blob.
+    // A screenshot in the patch replaces the thumbnail (null removes it); without one it's untouched.
+    // Resolves with the updated metadata.
+    async updateRecording(id, patch) {
         if (!this.db) await this.initDB();
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.db.transaction([this.storeName, this.blobStoreName, this.thumbnailStoreName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
-            const request = store.clear();
+            const blobStore = transaction.objectStore(this.blobStoreName);
+            const metadataRequest = store.get(id);
+            const keysRequest = blobStore.getAllKeys(getRecordingBlobKeyRange(id));
+            let updated = null;
+            
+            keysRequest.onsuccess = () => {
+                if (!metadataRequest.result) {
+                    transaction.abort();
+                    return;
+                }
+                
+                const { metadata, blobs, screenshot } = splitRecordForStorage({ ...metadataRequest.result, ...patch, id });
+                const storedKeys = new Set(keysRequest.result);
+                const keptKeys = new Set(metadata.versions.map(version => getRecordingBlobKey(id, version.id)));
+                
+                blobs.filter(entry => !storedKeys.has(entry.key)).forEach(entry => blobStore.put(entry));
+                storedKeys.forEach(key => {
+                    if (!keptKeys.has(key)) blobStore.delete(key);
+                });
+                
+                if ('screenshot' in patch) {
+                    const thumbnailStore = transaction.objectStore(this.thumbnailStoreName);
+                    if (screenshot) {
+                        thumbnailStore.put({ recordingId: id, screenshot });
+                    } else {
+                        thumbnailStore.delete(id);
+                    }
+                }
+                
+                updated = metadata;
+                store.put(metadata);
+            };
+            
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onabort = () => reject(transaction.error || new Error(`Recording ${id} not found`));
+        });
+    }
+
+    async deleteRecording(id) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.blobStoreName, this.thumbnailStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).delete(id);
+            transaction.objectStore(this.blobStoreName).delete(getRecordingBlobKeyRange(id));
+            transaction.objectStore(this.thumbnailStoreName).delete(id);
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async clearAllRecordings() {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.blobStoreName, this.thumbnailStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).clear();
+            transaction.objectStore(this.blobStoreName).clear();
+            transaction.objectStore(this.thumbnailStoreName).clear();
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Walks the storageSize index with a key cursor, so no recording (or blob) is loaded
+    async getStorageUsage() {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('storageSize').openKeyCursor();
+            let totalSize = 0;
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    totalSize += cursor.key;
+                    cursor.continue();
+                } else {
+                    resolve(totalSize);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Register a recording that has just started so its chunks can be recovered after a crash
+    async startRecordingSession(session) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.sessionStoreName], 'readwrite');
+            const request = transaction.objectStore(this.sessionStoreName).put(session);
             
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
-    async getStorageUsage() {
+    // Store one MediaRecorder chunk and bump the session's progress in the same transaction
+    async appendRecordingChunk(sessionId, index, blob) {
         if (!this.db) await this.initDB();
         
-        const recordings = await this.getAllRecordings();
-        let totalSize = 0;
-        recordings.forEach(recording => {
-            totalSize += recording.size || 0;
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.sessionStoreName, this.chunkStoreName], 'readwrite');
+            const sessionStore = transaction.objectStore(this.sessionStoreName);
+            
+            transaction.objectStore(this.chunkStoreName).put({ sessionId, index, blob });
+            
+            const getRequest = sessionStore.get(sessionId);
+            getRequest.onsuccess = () => {
+                const session = getRequest.result;
+                if (session) {
+                    session.chunkCount = Math.max(session.chunkCount || 0, index + 1);
+                    session.lastChunkAt = Date.now();
+                    sessionStore.put(session);
+                }
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async updateRecordingSession(sessionId, changes) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.sessionStoreName], 'readwrite');
+            const store = transaction.objectStore(this.sessionStoreName);
+            const getRequest = store.get(sessionId);
+            
+            getRequest.onsuccess = () => {
+                if (getRequest.result) {
+                    store.put({ ...getRequest.result, ...changes, sessionId });
+                }
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getRecordingSessions() {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.sessionStoreName], 'readonly');
+            const request = transaction.objectStore(this.sessionStoreName).getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Chunks come back in recording order because the key is [sessionId, index]
+    async getRecordingSessionChunks(sessionId) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.chunkStoreName], 'readonly');
+            const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+            const request = transaction.objectStore(this.chunkStoreName).getAll(range);
+            
+            request.onsuccess = () => resolve(request.result.map(chunk => chunk.blob));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteRecordingSession(sessionId) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.sessionStoreName, this.chunkStoreName], 'readwrite');
+            transaction.objectStore(this.chunkStoreName).delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+            transaction.objectStore(this.sessionStoreName).delete(sessionId);
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
-        return totalSize;
+    }
+}
+
+// Defaults for everything the settings panel controls
+const DEFAULT_USER_PREFERENCES = Object.freeze({
+    durationSeconds: 300,
+    format: 'webm',
+    qualityIndex: 2,
+    micDeviceId: '',
+    storageLimitMB: CONFIG.STORAGE_LIMIT_BYTES / (1024 * 1024),
+    filenameTemplate: '{tab}_{n}_{quality}',
+    alertDurationSeconds: 5,
+    trashRetentionDays: 7,
+    retentionMaxAgeDays: 0,          // 0 = never remove recordings for their age
+    retentionOnlyIfExported: true,   // the age rule only takes recordings already downloaded or uploaded
+    retentionMaxLibraryGB: 0,        // 0 = no size rule
+    retentionProtectTagged: true,
+    confirmBeforeDelete: false,
+    expandCompilerOnLoad: false
+});
+
+// Keeps user preferences in localStorage under CONFIG.STORAGE_KEYS.USER_PREFERENCES.
+// Everything goes through normalize() so stale or hand-edited values can't reach the UI.
+class SettingsManager {
+    constructor() {
+        this.storageKey = CONFIG.STORAGE_KEYS.USER_PREFERENCES;
+        this.preferences = this.load();
+    }
+
+    load() {
+        try {
+            return this.normalize(JSON.parse(localStorage.getItem(this.storageKey)) || {});
+        } catch (error) {
+            console.warn('Saved preferences are unreadable, using defaults:', error);
+            return this.normalize({});
+        }
+    }
+
+    normalize(raw) {
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const number = (key, min, max) => {
+            const value = Number(source[key]);
+            return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_USER_PREFERENCES[key];
+        };
+        const bool = key => typeof source[key] === 'boolean' ? source[key] : DEFAULT_USER_PREFERENCES[key];
+        const template = typeof source.filenameTemplate === 'string' ? source.filenameTemplate.trim().slice(0, 200) : '';
+        
+        return {
+            durationSeconds: Math.round(number('durationSeconds', 0, 3600)),
+            format: ['webm', 'mp4', 'mkv', 'avi'].includes(source.format) ? source.format : DEFAULT_USER_PREFERENCES.format,
+            qualityIndex: Math.round(number('qualityIndex', 0, 4)),
+            micDeviceId: typeof source.micDeviceId === 'string' ? source.micDeviceId : DEFAULT_USER_PREFERENCES.micDeviceId,
+            storageLimitMB: Math.round(number('storageLimitMB', 100, 1024 * 1024)),
+            filenameTemplate: template || DEFAULT_USER_PREFERENCES.filenameTemplate,
+            alertDurationSeconds: number('alertDurationSeconds', 1, 30),
+            trashRetentionDays: Math.round(number('trashRetentionDays', 1, 365)),
+            retentionMaxAgeDays: Math.round(number('retentionMaxAgeDays', 0, 3650)),
+            retentionOnlyIfExported: bool('retentionOnlyIfExported'),
+            retentionMaxLibraryGB: number('retentionMaxLibraryGB', 0, 1024),
+            retentionProtectTagged: bool('retentionProtectTagged'),
+            confirmBeforeDelete: bool('confirmBeforeDelete'),
+            expandCompilerOnLoad: bool('expandCompilerOnLoad')
+        };
+    }
+
+    get(key) {
+        return this.preferences[key];
+    }
+
+    set(patch) {
+        this.preferences = this.normalize({ ...this.preferences, ...patch });
+        this.save();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.preferences));
+        } catch (error) {
+            console.error('Failed to save preferences:', error);
+        }
+    }
+
+    reset() {
+        localStorage.removeItem(this.storageKey);
+        this.preferences = this.normalize({});
+    }
+
+    getStorageLimitBytes() {
+        return this.preferences.storageLimitMB * 1024 * 1024;
+    }
+
+    // Profiles live under their own key but travel with the settings file
+    exportJSON() {
+        return JSON.stringify({
+            type: 'multitab-recorder-settings',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            preferences: this.preferences,
+            recordingProfiles: loadRecordingProfiles()
+        }, null, 2);
+    }
+
+    importJSON(text) {
+        const data = JSON.parse(text);
+        if (!data || data.type !== 'multitab-recorder-settings' || typeof data.preferences !== 'object') {
+            throw new Error('Not a settings file exported from this recorder');
+        }
+        
+        this.set(data.preferences);
+        if (data.recordingProfiles && Array.isArray(data.recordingProfiles.profiles) && data.recordingProfiles.profiles.length > 0) {
+            const profiles = data.recordingProfiles.profiles.map(normalizeRecordingProfile);
+            const selectedId = profiles.some(profile => profile.id === data.recordingProfiles.selectedId)
+                ? data.recordingProfiles.selectedId
+                : profiles[0].id;
+            saveRecordingProfiles({ selectedId, profiles });
+        }
     }
 }
 
@@ -218,6 +709,9 @@ class RecordingStateManager {
         this.statusUpdateInterval = null;   // timer for updating UI
         this.thumbnailCaptures = new Map();  // screenshot data
         this.errorHandlers = new Map();      // error handling
+        this.audioMeterFrame = null;         // animation frame driving the audio level meters
+        this.isAdjustingGain = false;        // true while a gain slider is being dragged
+        this.storagePersisted = false;       // whether the browser agreed not to evict our data
         this.cleanup = this.cleanup.bind(this);
         
         // Initialize IndexedDB
@@ -245,18 +739,23 @@ class RecordingStateManager {
         const qualityNames = ['4K', '1440p', '1080p', '720p', '480p'];
         
         if (qualitySlider && qualityText) {
-            // Set default to 1080p (value 2)
-            qualitySlider.value = 2;
-            qualityText.textContent = '1080p';
-            
-            qualitySlider.addEventListener('input', (e) => {
-                const value = parseInt(e.target.value);
+            const showQuality = (value) => {
                 qualityText.textContent = qualityNames[value] || '1080p';
                 
                 // Show warning only when 4K (value 0) is selected
                 if (qualityWarning) {
                     qualityWarning.style.display = value === 0 ? 'block' : 'none';
                 }
+            };
+            
+            // Start from the saved preference (1080p unless changed)
+            qualitySlider.value = settingsManager.get('qualityIndex');
+            showQuality(settingsManager.get('qualityIndex'));
+            
+            qualitySlider.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value);
+                showQuality(value);
+                settingsManager.set({ qualityIndex: value });
             });
         }
     }
@@ -268,6 +767,10 @@ class RecordingStateManager {
                 if (recording.mediaRecorder && recording.mediaRecorder.state !== 'inactive') {
                     recording.mediaRecorder.stop();
                 }
+                if (recording.audioMixer) {
+                    recording.audioMixer.destroy();
+                    recording.audioMixer = null;
+                }
                 if (recording.stream) {
                     recording.stream.getTracks().forEach(track => {
                         try {
@@ -289,14 +792,18 @@ class RecordingStateManager {
         }
     }
 
-    showAlert(message, type = 'success') {
+    // action: optional { label, onClick } shown as a button, e.g. Undo after a delete
+    showAlert(message, type = 'success', action = null) {
         try {
             // Create a nice popup message
             const alertDiv = document.createElement('div');
-            alertDiv.className = `alert alert-${type}`;
+            alertDiv.className = `alert alert-${type} alert-toast`;
+            // Stack below messages that are still showing so back-to-back alerts don't hide each other
+            const top = Array.from(document.querySelectorAll('.alert-toast'))
+                .reduce((offset, toast) => offset + toast.offsetHeight + 8, 20);
             alertDiv.style.cssText = `
                 position: fixed;
-                top: 20px;
+                top: ${top}px;
                 right: 20px;
                 padding: 8px 12px;
                 border-radius: 3px;
@@ -313,9 +820,22 @@ class RecordingStateManager {
             `;
             alertDiv.textContent = message;
             
+            if (action) {
+                const actionButton = document.createElement('button');
+                actionButton.className = 'alert-action-btn';
+                actionButton.textContent = action.label;
+                actionButton.onclick = () => {
+                    alertDiv.remove();
+                    action.onClick();
+                };
+                alertDiv.appendChild(actionButton);
+            }
+            
             document.body.appendChild(alertDiv);
             
-            // Fade out and remove after 5 seconds
+            // Fade out and remove after the configured time (5 seconds by default);
+            // toasts with an action stay a little longer so there's time to use it
+            const visibleFor = settingsManager.get('alertDurationSeconds') * 1000 * (action ? 2 : 1);
             setTimeout(() => {
                 alertDiv.style.opacity = '0';
                 alertDiv.style.transform = 'translateX(100%)';
@@ -324,7 +844,7 @@ class RecordingStateManager {
                         alertDiv.remove();
                     }
                 }, 300);
-            }, 4700);
+            }, Math.max(700, visibleFor - 300));
         } catch (error) {
             console.error('Error showing alert:', error);
         }
@@ -528,21 +1048,172 @@ class ThumbnailCaptureEngine {
         }
         return null;
     }
+
+    // Grab frames from a saved recording at the given times (seconds), e.g. for a filmstrip
+    async captureFramesFromBlob(blob, times, { width = CONFIG.THUMBNAIL_DIMENSIONS.WIDTH, height = CONFIG.THUMBNAIL_DIMENSIONS.HEIGHT } = {}) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.src = URL.createObjectURL(blob);
+        
+        const waitFor = (eventName) => new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => reject(new Error(`Video ${eventName} took too long`)), 10000);
+            video.addEventListener(eventName, () => {
+                clearTimeout(timeoutId);
+                resolve();
+            }, { once: true });
+            video.addEventListener('error', () => {
+                clearTimeout(timeoutId);
+                reject(new Error('Video failed to load'));
+            }, { once: true });
+        });
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const frames = [];
+        
+        try {
+            await waitFor('loadeddata');
+            
+            for (const time of times) {
+                video.currentTime = Math.max(0, time);
+                await waitFor('seeked');
+                
+                const videoAspect = video.videoWidth / video.videoHeight;
+                const canvasAspect = width / height;
+                let sx = 0, sy = 0, sw = video.videoWidth, sh = video.videoHeight;
+                
+                if (videoAspect > canvasAspect) {
+                    sw = video.videoHeight * canvasAspect;
+                    sx = (video.videoWidth - sw) / 2;
+                } else {
+                    sh = video.videoWidth / canvasAspect;
+                    sy = (video.videoHeight - sh) / 2;
+                }
+                
+                ctx.fillStyle = '#000000';
+                ctx.fillRect(0, 0, width, height);
+                ctx.drawImage(video, sx, sy, sw, sh, 0, 0, width, height);
+                frames.push(canvas.toDataURL('image/jpeg', 0.7));
+            }
+        } finally {
+            URL.revokeObjectURL(video.src);
+            video.removeAttribute('src');
+            video.load();
+        }
+        
+        return frames;
+    }
+
+    // Single thumbnail for a saved recording, in the same size the recorder uses
+    async captureFromBlob(blob, time = 0.5) {
+        const [thumbnail] = await this.captureFramesFromBlob(blob, [time]);
+        return thumbnail || null;
+    }
 }
 
-// This function sets up video quality based on what the user picked
-function getVideoConstraints(qualityValue) {
-    const constraints = {
-        video: {
-            frameRate: { ideal: 60, max: 60 }  // Higher framerate for smoother video
+// Mixes tab audio and an optional microphone into a single track for MediaRecorder.
+// Each source gets its own gain node and analyser so the recording card can show levels.
+class RecordingAudioMixer {
+    constructor() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.context = new AudioContextClass();
+        this.destination = this.context.createMediaStreamDestination();
+        this.sources = new Map(); // kind ('tab' | 'microphone') -> source nodes
+    }
+
+    static isSupported() {
+        return Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    addSource(kind, stream, label, { ownsStream = false } = {}) {
+        const sourceNode = this.context.createMediaStreamSource(stream);
+        const gainNode = this.context.createGain();
+        const analyser = this.context.createAnalyser();
+        analyser.fftSize = 512;
+        
+        // Meter after the gain so the level reflects what actually gets recorded
+        sourceNode.connect(gainNode);
+        gainNode.connect(analyser);
+        gainNode.connect(this.destination);
+        
+        this.sources.set(kind, {
+            stream,
+            label,
+            ownsStream,
+            sourceNode,
+            gainNode,
+            analyser,
+            levelData: new Float32Array(analyser.fftSize)
+        });
+    }
+
+    setGain(kind, value) {
+        const source = this.sources.get(kind);
+        if (source) {
+            source.gainNode.gain.setTargetAtTime(value, this.context.currentTime, 0.02);
         }
-    };
-    
-    // Convert slider value to quality setting
-    const qualityMap = {
-        0: '4k',
-        1: '1440p', 
-        2: '1080p',
+    }
+
+    getGain(kind) {
+        const source = this.sources.get(kind);
+        return source ? source.gainNode.gain.value : 0;
+    }
+
+    // RMS level scaled to 0..1 for the meter
+    getLevel(kind) {
+        const source = this.sources.get(kind);
+        if (!source) return 0;
+        
+        source.analyser.getFloatTimeDomainData(source.levelData);
+        let sum = 0;
+        for (let i = 0; i < source.levelData.length; i++) {
+            sum += source.levelData[i] * source.levelData[i];
+        }
+        return Math.min(1, Math.sqrt(sum / source.levelData.length) * 3);
+    }
+
+    getOutputTracks() {
+        return this.destination.stream.getAudioTracks();
+    }
+
+    describeSources() {
+        return Array.from(this.sources.entries()).map(([kind, source]) => ({ kind, label: source.label }));
+    }
+
+    destroy() {
+        this.sources.forEach(source => {
+            try {
+                source.sourceNode.disconnect();
+                source.gainNode.disconnect();
+            } catch (e) {
+                console.warn('Error disconnecting audio source:', e);
+            }
+            if (source.ownsStream) {
+                source.stream.getTracks().forEach(track => track.stop());
+            }
+        });
+        this.sources.clear();
+        this.getOutputTracks().forEach(track => track.stop());
+        this.context.close().catch(() => {});
+    }
+}
+
+// This function sets up video quality based on what the user picked
+function getVideoConstraints(qualityValue, maxFrameRate = 60) {
+    const constraints = {
+        video: {
+            frameRate: { ideal: maxFrameRate, max: maxFrameRate }  // Capped by the recording profile
+        }
+    };
+    
+    // Convert slider value to quality setting
+    const qualityMap = {
+        0: '4k',
+        1: '1440p', 
+        2: '1080p',
         3: '720p',
         4: '480p'
     };
@@ -576,12 +1247,488 @@ function getVideoConstraints(qualityValue) {
     return constraints;
 }
 
+// RECORDING PROFILES
+// A profile bundles codec preference, bitrates, a frame-rate cap and keyframe spacing.
+// Stored as { selectedId, profiles } so the last choice survives a reload.
+const RECORDING_CODEC_LABELS = { vp9: 'VP9', vp8: 'VP8', av1: 'AV1', h264: 'H.264' };
+let currentProfileSession = null;
+
+function getDefaultRecordingProfiles() {
+    return {
+        selectedId: CONFIG.DEFAULT_RECORDING_PROFILES[0].id,
+        profiles: CONFIG.DEFAULT_RECORDING_PROFILES.map(profile => ({ ...profile, codecs: [...profile.codecs] }))
+    };
+}
+
+function loadRecordingProfiles() {
+    const defaults = getDefaultRecordingProfiles();
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.RECORDING_PROFILES));
+        if (!saved || !Array.isArray(saved.profiles) || saved.profiles.length === 0) return defaults;
+        
+        const profiles = saved.profiles.map(normalizeRecordingProfile);
+        const selectedId = profiles.some(profile => profile.id === saved.selectedId) ? saved.selectedId : profiles[0].id;
+        return { selectedId, profiles };
+    } catch (error) {
+        console.warn('Saved recording profiles are unreadable, using defaults:', error);
+        return defaults;
+    }
+}
+
+function saveRecordingProfiles(store) {
+    try {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.RECORDING_PROFILES, JSON.stringify(store));
+    } catch (error) {
+        console.error('Failed to save recording profiles:', error);
+        stateManager.showAlert('Failed to save recording profiles', 'error');
+    }
+}
+
+// Fill gaps and clamp numbers so a hand-edited or older profile can't break MediaRecorder
+function normalizeRecordingProfile(profile) {
+    const clamp = (value, min, max, fallback) => {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, Math.round(number))) : fallback;
+    };
+    const knownCodecs = Object.keys(RECORDING_CODEC_LABELS);
+    const codecs = (Array.isArray(profile.codecs) ? profile.codecs : []).filter(codec => knownCodecs.includes(codec));
+    
+    return {
+        id: String(profile.id || `profile-${Date.now()}`),
+        name: String(profile.name || 'Untitled profile').trim() || 'Untitled profile',
+        codecs: [...new Set([...codecs, ...knownCodecs])],
+        videoBitsPerSecond: clamp(profile.videoBitsPerSecond, 100000, 100000000, 5000000),
+        audioBitsPerSecond: clamp(profile.audioBitsPerSecond, 16000, 512000, 128000),
+        maxFrameRate: clamp(profile.maxFrameRate, 1, 60, 30),
+        keyframeIntervalMs: clamp(profile.keyframeIntervalMs, 250, 30000, 2000)
+    };
+}
+
+function getSelectedRecordingProfile() {
+    const store = loadRecordingProfiles();
+    const select = document.getElementById('recording-profile');
+    const selectedId = select && select.value ? select.value : store.selectedId;
+    return store.profiles.find(profile => profile.id === selectedId) || store.profiles[0];
+}
+
+function describeRecordingProfile(profile) {
+    const videoMbps = Math.round(profile.videoBitsPerSecond / 100000) / 10;
+    const audioKbps = Math.round(profile.audioBitsPerSecond / 1000);
+    return `${RECORDING_CODEC_LABELS[profile.codecs[0]]} • ${videoMbps} Mbps • ${audioKbps} kbps audio • ${profile.maxFrameRate} fps max • keyframe every ${profile.keyframeIntervalMs / 1000}s`;
+}
+
+function isRecordingCodecSupported(codec) {
+    if (typeof MediaRecorder === 'undefined') return false;
+    return ['webm', 'mp4', 'mkv'].some(format => resolveRecorderFormat(format, [codec]).codec === codec);
+}
+
+function renderRecordingProfileSelect() {
+    const select = document.getElementById('recording-profile');
+    if (!select) return;
+    
+    const store = loadRecordingProfiles();
+    select.innerHTML = '';
+    store.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    });
+    select.value = store.selectedId;
+    updateRecordingProfileSummary();
+}
+
+function selectRecordingProfile(profileId) {
+    const store = loadRecordingProfiles();
+    if (!store.profiles.some(profile => profile.id === profileId)) return;
+    store.selectedId = profileId;
+    saveRecordingProfiles(store);
+    updateRecordingProfileSummary();
+    updateFormatNote();
+}
+
+function updateRecordingProfileSummary() {
+    const summary = document.getElementById('profile-summary');
+    if (summary) {
+        summary.textContent = describeRecordingProfile(getSelectedRecordingProfile());
+    }
+}
+
+function initializeRecordingProfiles() {
+    renderRecordingProfileSelect();
+}
+
+function openProfileModal() {
+    const store = loadRecordingProfiles();
+    currentProfileSession = { store, editingId: store.selectedId };
+    
+    // Codecs this browser can't record are still listed - they're just skipped when recording
+    const codecSelect = document.getElementById('profile-codec');
+    codecSelect.innerHTML = '';
+    Object.entries(RECORDING_CODEC_LABELS).forEach(([codec, label]) => {
+        const option = document.createElement('option');
+        option.value = codec;
+        option.textContent = isRecordingCodecSupported(codec) ? label : `${label} (not supported here)`;
+        codecSelect.appendChild(option);
+    });
+    
+    renderProfileEditor();
+    document.getElementById('profile-modal').style.display = 'block';
+}
+
+function renderProfileEditor() {
+    const session = currentProfileSession;
+    if (!session) return;
+    
+    const list = document.getElementById('profile-edit-select');
+    list.innerHTML = '';
+    session.store.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        list.appendChild(option);
+    });
+    list.value = session.editingId;
+    
+    const profile = session.store.profiles.find(item => item.id === session.editingId);
+    document.getElementById('profile-name').value = profile.name;
+    document.getElementById('profile-codec').value = profile.codecs[0];
+    document.getElementById('profile-video-bitrate').value = profile.videoBitsPerSecond / 1000000;
+    document.getElementById('profile-audio-bitrate').value = profile.audioBitsPerSecond / 1000;
+    document.getElementById('profile-frame-rate').value = profile.maxFrameRate;
+    document.getElementById('profile-keyframe').value = profile.keyframeIntervalMs / 1000;
+    document.getElementById('profile-delete-btn').disabled = session.store.profiles.length <= 1;
+}
+
+// Pull the form back into the profile being edited so switching profiles doesn't lose changes
+function readProfileEditor() {
+    const session = currentProfileSession;
+    const index = session.store.profiles.findIndex(item => item.id === session.editingId);
+    if (index === -1) return;
+    
+    const preferred = document.getElementById('profile-codec').value;
+    const current = session.store.profiles[index];
+    session.store.profiles[index] = normalizeRecordingProfile({
+        id: current.id,
+        name: document.getElementById('profile-name').value,
+        codecs: [preferred, ...current.codecs.filter(codec => codec !== preferred)],
+        videoBitsPerSecond: parseFloat(document.getElementById('profile-video-bitrate').value) * 1000000,
+        audioBitsPerSecond: parseFloat(document.getElementById('profile-audio-bitrate').value) * 1000,
+        maxFrameRate: parseFloat(document.getElementById('profile-frame-rate').value),
+        keyframeIntervalMs: parseFloat(document.getElementById('profile-keyframe').value) * 1000
+    });
+}
+
+function switchEditedProfile(profileId) {
+    if (!currentProfileSession) return;
+    readProfileEditor();
+    currentProfileSession.editingId = profileId;
+    renderProfileEditor();
+}
+
+function addRecordingProfile() {
+    if (!currentProfileSession) return;
+    readProfileEditor();
+    
+    const base = currentProfileSession.store.profiles.find(item => item.id === currentProfileSession.editingId);
+    const profile = normalizeRecordingProfile({ ...base, id: `profile-${Date.now()}`, name: `${base.name} copy` });
+    currentProfileSession.store.profiles.push(profile);
+    currentProfileSession.editingId = profile.id;
+    renderProfileEditor();
+}
+
+function deleteRecordingProfile() {
+    const session = currentProfileSession;
+    if (!session || session.store.profiles.length <= 1) return;
+    
+    session.store.profiles = session.store.profiles.filter(item => item.id !== session.editingId);
+    if (!session.store.profiles.some(item => item.id === session.store.selectedId)) {
+        session.store.selectedId = session.store.profiles[0].id;
+    }
+    session.editingId = session.store.profiles[0].id;
+    renderProfileEditor();
+}
+
+function resetRecordingProfiles() {
+    if (!currentProfileSession) return;
+    if (!confirm('Replace all profiles with the built-in Archive, Upload-friendly and Tiny preview?')) return;
+    
+    // Only the editor is reset; nothing is stored until Save, so Cancel still keeps the old profiles
+    currentProfileSession.store = getDefaultRecordingProfiles();
+    currentProfileSession.editingId = currentProfileSession.store.selectedId;
+    renderProfileEditor();
+}
+
+function saveProfileEditor() {
+    if (!currentProfileSession) return;
+    readProfileEditor();
+    saveRecordingProfiles(currentProfileSession.store);
+    closeProfileModal();
+    renderRecordingProfileSelect();
+    updateFormatNote();
+    stateManager.showAlert('Recording profiles saved');
+}
+
+function closeProfileModal() {
+    currentProfileSession = null;
+    document.getElementById('profile-modal').style.display = 'none';
+}
+
+// SETTINGS PANEL
+// The format select and mic picker save their own changes; quality and duration do so in their initializers
+function initializePreferenceControls() {
+    const formatSelect = document.getElementById('video-format');
+    if (formatSelect) {
+        formatSelect.value = settingsManager.get('format');
+        formatSelect.addEventListener('change', () => settingsManager.set({ format: formatSelect.value }));
+    }
+    
+    const micSelect = document.getElementById('mic-device');
+    if (micSelect) {
+        micSelect.addEventListener('change', () => settingsManager.set({ micDeviceId: micSelect.value }));
+    }
+}
+
+function openSettingsModal() {
+    renderSettingsForm();
+    document.getElementById('settings-modal').style.display = 'block';
+}
+
+function renderSettingsForm() {
+    const preferences = settingsManager.preferences;
+    document.getElementById('settings-duration').value = formatSecondsToMMSS(preferences.durationSeconds);
+    document.getElementById('settings-format').value = preferences.format;
+    document.getElementById('settings-quality').value = preferences.qualityIndex;
+    document.getElementById('settings-storage-limit').value = preferences.storageLimitMB;
+    getBrowserStorageEstimate().then(estimate => {
+        document.getElementById('settings-storage-quota').textContent = estimate
+            ? `This browser allows this site about ${Math.floor(estimate.quota / (1024 * 1024))} MB in total.`
+            : 'This browser doesn\'t report its storage quota.';
+    });
+    document.getElementById('settings-filename-template').value = preferences.filenameTemplate;
+    document.getElementById('settings-alert-duration').value = preferences.alertDurationSeconds;
+    document.getElementById('settings-trash-retention').value = preferences.trashRetentionDays;
+    document.getElementById('settings-retention-age').value = preferences.retentionMaxAgeDays;
+    document.getElementById('settings-retention-exported').checked = preferences.retentionOnlyIfExported;
+    document.getElementById('settings-retention-max-gb').value = preferences.retentionMaxLibraryGB;
+    document.getElementById('settings-retention-protect-tagged').checked = preferences.retentionProtectTagged;
+    renderRetentionLog();
+    document.getElementById('settings-confirm-delete').checked = preferences.confirmBeforeDelete;
+    document.getElementById('settings-expand-compiler').checked = preferences.expandCompilerOnLoad;
+    
+    document.getElementById('settings-filename-tokens').textContent = Object.entries(FILENAME_TEMPLATE_TOKENS)
+        .map(([token, description]) => `{${token}} ${description}`)
+        .join(' • ');
+    updateFilenameTemplatePreview();
+}
+
+// Push saved preferences back into the live controls after a save, import or reset
+function applyPreferencesToControls() {
+    const preferences = settingsManager.preferences;
+    
+    document.getElementById('video-format').value = preferences.format;
+    const qualitySlider = document.getElementById('video-quality');
+    qualitySlider.value = preferences.qualityIndex;
+    qualitySlider.dispatchEvent(new Event('input'));
+    
+    updateSliderFromSeconds(preferences.durationSeconds);
+    document.getElementById('duration').value = preferences.durationSeconds;
+    
+    renderRecordingProfileSelect();
+    updateFormatNote();
+    loadSavedRecordings();
+}
+
+function saveSettingsForm() {
+    const duration = document.getElementById('settings-duration').value.trim();
+    if (!validateMMSS(duration) || convertMMSSToSeconds(duration) > 3600) {
+        stateManager.showAlert('Default duration must be MM:SS and no more than 60:00', 'error');
+        return;
+    }
+    
+    settingsManager.set({
+        durationSeconds: convertMMSSToSeconds(duration),
+        format: document.getElementById('settings-format').value,
+        qualityIndex: parseInt(document.getElementById('settings-quality').value),
+        storageLimitMB: parseInt(document.getElementById('settings-storage-limit').value),
+        filenameTemplate: document.getElementById('settings-filename-template').value,
+        alertDurationSeconds: parseFloat(document.getElementById('settings-alert-duration').value),
+        trashRetentionDays: parseInt(document.getElementById('settings-trash-retention').value),
+        retentionMaxAgeDays: parseInt(document.getElementById('settings-retention-age').value),
+        retentionOnlyIfExported: document.getElementById('settings-retention-exported').checked,
+        retentionMaxLibraryGB: parseFloat(document.getElementById('settings-retention-max-gb').value),
+        retentionProtectTagged: document.getElementById('settings-retention-protect-tagged').checked,
+        confirmBeforeDelete: document.getElementById('settings-confirm-delete').checked,
+        expandCompilerOnLoad: document.getElementById('settings-expand-compiler').checked
+    });
+    
+    applyPreferencesToControls();
+    closeSettingsModal();
+    stateManager.showAlert('Settings saved');
+    applyRetentionRules();
+}
+
+function exportSettings() {
+    const blob = new Blob([settingsManager.exportJSON()], { type: 'application/json' });
+    downloadRecordingDirectly(blob, `recorder-settings-${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+async function importSettingsFile(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    try {
+        settingsManager.importJSON(await file.text());
+        renderSettingsForm();
+        applyPreferencesToControls();
+        stateManager.showAlert('Settings imported');
+    } catch (error) {
+        console.error('Settings import failed:', error);
+        stateManager.showAlert('Import failed: ' + error.message, 'error');
+    }
+}
+
+function resetSettingsToDefaults() {
+    if (!confirm('Reset all settings and recording profiles to their defaults?')) return;
+    
+    settingsManager.reset();
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.RECORDING_PROFILES);
+    renderSettingsForm();
+    applyPreferencesToControls();
+    stateManager.showAlert('Settings reset to defaults');
+}
+
+function closeSettingsModal() {
+    document.getElementById('settings-modal').style.display = 'none';
+}
+
+// FILENAME TEMPLATES
+// Tokens the filename template setting understands. A name is rendered once when the recording
+// starts, so the live card and the saved file always agree.
+const FILENAME_TEMPLATE_TOKENS = {
+    tab: 'tab title',
+    host: 'site host name',
+    date: 'start date (YYYY-MM-DD)',
+    time: 'start time (HH-MM-SS)',
+    quality: 'quality setting',
+    n: 'recording number for this tab',
+    id: 'recording id',
+    duration: 'planned duration (e.g. 05m00s)'
+};
+
+// Tab labels are page titles, but they often contain the address; fall back to "unknown"
+function getHostFromTitle(title) {
+    const match = String(title || '').match(/(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?::\d+)?(?:[\/\s]|$)/i);
+    return match ? match[1].toLowerCase().replace(/^www\./, '') : 'unknown';
+}
+
+function getFilenameTemplateValues({ tabTitle, startTime, quality, tabCount, recordingId, durationMs }) {
+    const pad = value => String(value).padStart(2, '0');
+    const start = new Date(startTime);
+    const totalSeconds = Math.round((durationMs || 0) / 1000);
+    
+    return {
+        tab: preserveUrlForDisplay(tabTitle || 'Screen Recording').substring(0, 30),
+        host: getHostFromTitle(tabTitle),
+        date: `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`,
+        time: `${pad(start.getHours())}-${pad(start.getMinutes())}-${pad(start.getSeconds())}`,
+        quality: quality,
+        n: tabCount,
+        id: recordingId,
+        duration: `${pad(Math.floor(totalSeconds / 60))}m${pad(totalSeconds % 60)}s`
+    };
+}
+
+// Unknown tokens are left in place so a typo is visible in the name rather than silently dropped
+function renderFilenameTemplate(template, values) {
+    const rendered = template.replace(/\{(\w+)\}/g, (match, token) => (token in values ? String(values[token]) : match));
+    return preserveUrlForDisplay(rendered).trim() || `Screen_Recording_${values.id}`;
+}
+
+// Name a recording that is just starting. The per-tab number counts saved and still-running recordings.
+async function buildRecordingName({ tabTitle, recordingId, startTime, settings }) {
+    let tabCount = 1;
+    try {
+        const sameTab = rec => rec.tabTitle && rec.tabTitle.toLowerCase() === tabTitle.toLowerCase();
+        const existingRecordings = await stateManager.dbManager.getAllRecordings();
+        const activeRecordings = Array.from(stateManager.screenRecordings.values());
+        tabCount = existingRecordings.filter(sameTab).length + activeRecordings.filter(sameTab).length + 1;
+    } catch (error) {
+        console.warn('Could not count earlier recordings for naming:', error);
+    }
+    
+    const values = getFilenameTemplateValues({
+        tabTitle,
+        startTime,
+        quality: settings.quality,
+        tabCount,
+        recordingId,
+        durationMs: settings.durationMs
+    });
+    return { baseFilename: renderFilenameTemplate(settingsManager.get('filenameTemplate'), values), tabCount };
+}
+
+function updateFilenameTemplatePreview() {
+    const input = document.getElementById('settings-filename-template');
+    const preview = document.getElementById('settings-filename-preview');
+    if (!input || !preview) return;
+    
+    const qualityValues = ['4k', '1440p', '1080p', '720p', '480p'];
+    const values = getFilenameTemplateValues({
+        tabTitle: 'example.com - Example Domain',
+        startTime: Date.now(),
+        quality: qualityValues[parseInt(document.getElementById('settings-quality').value)] || '1080p',
+        tabCount: 1,
+        recordingId: 1,
+        durationMs: settingsManager.get('durationSeconds') * 1000
+    });
+    const template = input.value.trim() || DEFAULT_USER_PREFERENCES.filenameTemplate;
+    preview.textContent = `Preview: ${renderFilenameTemplate(template, values)}.${document.getElementById('settings-format').value}`;
+}
+
+// Everything a recording needs from the settings UI, read once when it starts.
+// Frozen so changing the controls mid-session can't relabel a running recording.
+function captureRecordingSettings() {
+    const qualityValues = ['4k', '1440p', '1080p', '720p', '480p'];
+    const qualityIndex = parseInt(document.getElementById('video-quality').value);
+    
+    return Object.freeze({
+        format: document.getElementById('video-format').value,
+        quality: qualityValues[qualityIndex] || '1080p',
+        qualityIndex: qualityIndex,
+        durationMs: parseInt(document.getElementById('duration').value) * 1000,
+        profile: Object.freeze({ ...getSelectedRecordingProfile() })
+    });
+}
+
+// What the browser actually gave us - ideal constraints are only a request
+function getTrackSettingsSnapshot(stream) {
+    const track = stream.getVideoTracks()[0];
+    if (!track || typeof track.getSettings !== 'function') return null;
+    
+    const { width, height, frameRate, displaySurface } = track.getSettings();
+    return Object.freeze({
+        width: width || null,
+        height: height || null,
+        frameRate: frameRate ? Math.round(frameRate * 100) / 100 : null,
+        displaySurface: displaySurface || null
+    });
+}
+
 function updateRecordingsPreview() {
     const previewContainer = document.getElementById('recordings-preview');
     
     if (stateManager.screenRecordings.size === 0) {
         previewContainer.innerHTML = 'No screen recordings active';
         document.getElementById('stop-all-btn').disabled = true;
+        updatePauseAllButton();
+        return;
+    }
+    
+    // Rebuilding the cards mid-drag would drop the gain slider out from under the pointer
+    if (stateManager.isAdjustingGain) {
         return;
     }
     
@@ -601,40 +1748,41 @@ function updateRecordingsPreview() {
     
     previewContainer.innerHTML = '';
     document.getElementById('stop-all-btn').disabled = false;
+    updatePauseAllButton();
     
     // Show each active recording in compact mode
     stateManager.screenRecordings.forEach((recording, id) => {
         const recordingItem = document.createElement('div');
-        recordingItem.className = 'recording-status-item recording compact-recording';
+        const isPaused = Boolean(recording.pausedAt);
+        recordingItem.className = `recording-status-item recording compact-recording${isPaused ? ' paused' : ''}`;
         
-        // Generate current filename for editing
-        const selectedFormat = document.getElementById('video-format').value;
-        const qualitySlider = document.getElementById('video-quality');
-        const qualityValues = ['4k', '1440p', '1080p', '720p', '480p'];
-        const selectedQuality = qualityValues[parseInt(qualitySlider.value)];
-        const cleanTabTitle = preserveUrlForDisplay((recording.tabTitle || 'Screen Recording')).substring(0, 30);
+        // Only active (unpaused) time counts towards elapsed/remaining
+        const activeSeconds = getActiveElapsedMs(recording) / 1000;
+        
+        // Format the recording started with
+        const selectedFormat = recording.settings.format;
         
-        // Use stored input value if available, otherwise use recording's custom filename or default
+        // Use stored input value if available, otherwise the custom filename or the name rendered at start
         let currentFilename;
         const storedState = inputStates.get(id);
         if (storedState) {
             currentFilename = storedState.value;
         } else {
-            currentFilename = recording.customFilename || `${cleanTabTitle}_${id}_${selectedQuality}`;
+            currentFilename = recording.customFilename || recording.baseFilename;
         }
         
         recordingItem.innerHTML = `
             <div class="compact-recording-info">
                 <div class="compact-recording-header">
-                    <div class="recording-indicator-compact">
+                    <div class="recording-indicator-compact${isPaused ? ' paused' : ''}">
                         <div class="recording-dot"></div>
-                        <span>REC</span>
+                        <span>${isPaused ? 'PAUSED' : 'REC'}</span>
                     </div>
                     <div class="recording-time">
-                        ${formatTime((Date.now() - recording.startTime) / 1000)} elapsed
+                        ${formatTime(activeSeconds)} elapsed
                         <br>
                         <span style="font-size: 11px; color: #888;">
-                            ${formatTime(Math.max(0, (recording.duration / 1000) - ((Date.now() - recording.startTime) / 1000)))} remaining
+                            ${formatTime(Math.max(0, (recording.duration / 1000) - activeSeconds))} remaining
                         </span>
                     </div>
                 </div>
@@ -650,6 +1798,7 @@ function updateRecordingsPreview() {
                            title="Click to edit the recording filename">
                     <span class="file-extension">.${selectedFormat}</span>
                 </div>
+                ${renderAudioControls(id, recording)}
             </div>
             <div class="compact-preview-container">
                 <video id="preview-${id}" class="compact-preview-video" autoplay muted playsinline></video>
@@ -659,7 +1808,10 @@ function updateRecordingsPreview() {
                     </div>
                 </div>
             </div>
-            <button class="compact-stop-btn" onclick="stopScreenRecording(${id})" title="Stop Recording">⏹</button>
+            <div class="compact-recording-controls">
+                <button class="compact-pause-btn" onclick="togglePauseRecording(${id})" title="${isPaused ? 'Resume Recording' : 'Pause Recording'}">${isPaused ? '▶' : '⏸'}</button>
+                <button class="compact-stop-btn" onclick="stopScreenRecording(${id})" title="Stop Recording">⏹</button>
+            </div>
         `;
         previewContainer.appendChild(recordingItem);
         
@@ -686,6 +1838,33 @@ function updateRecordingsPreview() {
     });
 }
 
+// Gain slider and level meter for each audio source mixed into a recording
+function renderAudioControls(recordingId, recording) {
+    if (!recording.audioMixer) return '';
+    
+    const rows = Array.from(recording.audioMixer.sources.keys()).map(kind => {
+        const gainPercent = Math.round(recording.audioMixer.getGain(kind) * 100);
+        return `
+            <div class="audio-source-row">
+                <span class="audio-source-label">${kind === 'microphone' ? 'Mic' : 'Tab'}</span>
+                <input type="range" 
+                       class="audio-gain-slider" 
+                       min="0" max="200" step="5" 
+                       value="${gainPercent}"
+                       title="${kind === 'microphone' ? 'Microphone' : 'Tab audio'} volume"
+                       onpointerdown="stateManager.isAdjustingGain = true"
+                       oninput="setRecordingGain(${recordingId}, '${kind}', this.value)">
+                <span class="audio-gain-value" id="audio-gain-value-${recordingId}-${kind}">${gainPercent}%</span>
+                <div class="audio-meter">
+                    <div class="audio-meter-fill" id="audio-meter-${recordingId}-${kind}"></div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    return `<div class="audio-controls">${rows}</div>`;
+}
+
 // Function to update recording filename in real-time
 function updateRecordingFilename(recordingId, newFilename) {
     const recording = stateManager.screenRecordings.get(recordingId);
@@ -703,7 +1882,8 @@ function updateRecordingFilename(recordingId, newFilename) {
 // Function to check for duplicate IDs and append COPY suffixes
 async function checkForDuplicateId(baseId, format) {
     try {
-        const existingRecordings = await stateManager.dbManager.getAllRecordings();
+        // Trashed recordings still own their names so restoring one can't create a clash
+        const existingRecordings = await stateManager.dbManager.getAllRecordings({ includeDeleted: true });
         const existingFilenames = existingRecordings.map(r => r.filename.replace(/\.[^.]+$/, '')); // Remove extension
         
         // Check if base ID exists
@@ -744,8 +1924,7 @@ async function updateRecordingId(recordingId, newId) {
         }
         
         // Get the recording from database
-        const recordings = await stateManager.dbManager.getAllRecordings();
-        const recording = recordings.find(r => r.id === recordingId);
+        const recording = await stateManager.dbManager.getRecordingMetadata(recordingId);
         
         if (!recording) {
             console.warn(`Recording ${recordingId} not found`);
@@ -771,15 +1950,8 @@ async function updateRecordingId(recordingId, newId) {
             }
         }
         
-        // Update the recording in the database (delete old, save new to avoid key conflict)
-         await stateManager.dbManager.deleteRecording(recording.id);
-         
-         const updatedRecording = {
-             ...recording,
-             filename: newFilename
-         };
-         
-         await stateManager.dbManager.saveRecording(updatedRecording);
+        // Only the name changes, so the video and thumbnail stay where they are
+        await stateManager.dbManager.updateRecording(recording.id, { filename: newFilename });
         
         // Update the filename display without full refresh
         const recordingNameElement = document.querySelector(`#id-input-${recordingId}`).closest('.recording-item').querySelector('.recording-name');
@@ -813,8 +1985,9 @@ async function addScreenRecording() {
             return;
         }
 
-        const selectedQuality = parseInt(document.getElementById('video-quality').value);
-        const constraints = getVideoConstraints(selectedQuality);
+        const settings = captureRecordingSettings();
+        const selectedQuality = settings.qualityIndex;
+        const constraints = getVideoConstraints(selectedQuality, settings.profile.maxFrameRate);
         // Show cursor in recordings
         constraints.video.cursor = 'always';
 
@@ -828,9 +2001,12 @@ async function addScreenRecording() {
             stateManager.showAlert('No video captured. Please try again and pick a tab.', 'error');
             return;
         }
+        
+        // Optional narration from the microphone picked in the device list
+        const micStream = await openSelectedMicrophone();
 
         const recordingId = ++stateManager.recordingCounter;
-        const duration = parseInt(document.getElementById('duration').value) * 1000;
+        const duration = settings.durationMs;
 
         // Try to get a nice name for what we're recording
         let tabTitle = 'Screen Recording';
@@ -855,7 +2031,8 @@ async function addScreenRecording() {
         const qualityNames = ['4K', '1440p', '1080p', '720p HD', '480p'];
         const qualityName = qualityNames[selectedQuality] || '4K';
         
-        startScreenRecording(stream, recordingId, duration, tabTitle);
+        const name = await buildRecordingName({ tabTitle, recordingId, startTime: Date.now(), settings });
+        startScreenRecording(stream, recordingId, duration, tabTitle, micStream, settings, name);
         stateManager.showAlert(`Started recording in ${qualityName} quality!`);
 
     } catch (error) {
@@ -883,6 +2060,8 @@ function stopScreenRecording(recordingId) {
     }
 
     try {
+        clearRecordingTimers(recording);
+        
         // Capture final thumbnail before stopping
         const thumbnailData = stateManager.thumbnailCaptures.get(recordingId);
         if (thumbnailData && thumbnailData.video && thumbnailData.video.videoWidth > 0) {
@@ -898,6 +2077,8 @@ function stopScreenRecording(recordingId) {
             recording.mediaRecorder.stop();
         }
         
+        releaseRecordingAudio(recording);
+        
         // Stop all tracks in the stream (this kills the live feed)
         if (recording.stream) {
             recording.stream.getTracks().forEach(track => {
@@ -939,6 +2120,144 @@ function stopScreenRecording(recordingId) {
     }
 }
 
+// Milliseconds of actual recording, leaving out any time spent paused
+function getActiveElapsedMs(recording) {
+    const now = recording.pausedAt || Date.now();
+    return Math.max(0, now - recording.startTime - (recording.totalPausedMs || 0));
+}
+
+// (Re)arm the auto-stop timer for whatever active recording time is left
+function scheduleAutoStop(recordingId, recording) {
+    if (recording.autoStopTimer) {
+        clearTimeout(recording.autoStopTimer);
+    }
+    
+    const remaining = Math.max(0, recording.duration - getActiveElapsedMs(recording));
+    recording.autoStopTimer = setTimeout(() => {
+        if (stateManager.screenRecordings.has(recordingId)) {
+            stopScreenRecording(recordingId);
+        }
+    }, remaining);
+}
+
+function clearRecordingTimers(recording) {
+    if (recording.autoStopTimer) {
+        clearTimeout(recording.autoStopTimer);
+        recording.autoStopTimer = null;
+    }
+    if (recording.pauseHeartbeat) {
+        clearInterval(recording.pauseHeartbeat);
+        recording.pauseHeartbeat = null;
+    }
+}
+
+function pauseScreenRecording(recordingId, { silent = false } = {}) {
+    const recording = stateManager.screenRecordings.get(recordingId);
+    if (!recording || recording.pausedAt || !recording.mediaRecorder || recording.mediaRecorder.state !== 'recording') {
+        return false;
+    }
+    
+    try {
+        recording.mediaRecorder.pause();
+        recording.pausedAt = Date.now();
+        
+        // No chunks arrive while paused, so keep the crash-recovery session looking alive
+        if (recording.autoStopTimer) {
+            clearTimeout(recording.autoStopTimer);
+            recording.autoStopTimer = null;
+        }
+        recording.pauseHeartbeat = setInterval(() => {
+            stateManager.dbManager.updateRecordingSession(recording.sessionId, { heartbeatAt: Date.now() }).catch(() => {});
+        }, CONFIG.RECOVERY_STALE_AFTER / 3);
+        stateManager.dbManager.updateRecordingSession(recording.sessionId, { pausedAt: recording.pausedAt, heartbeatAt: recording.pausedAt }).catch(() => {});
+        
+        updateRecordingsPreview();
+        if (!silent) {
+            stateManager.showAlert(`Recording ${recordingId} paused`);
+        }
+        return true;
+    } catch (error) {
+        console.error('Error pausing recording:', error);
+        stateManager.showAlert(`Error pausing recording ${recordingId}`, 'error');
+        return false;
+    }
+}
+
+function resumeScreenRecording(recordingId, { silent = false } = {}) {
+    const recording = stateManager.screenRecordings.get(recordingId);
+    if (!recording || !recording.pausedAt || !recording.mediaRecorder || recording.mediaRecorder.state !== 'paused') {
+        return false;
+    }
+    
+    try {
+        recording.mediaRecorder.resume();
+        recording.totalPausedMs = (recording.totalPausedMs || 0) + (Date.now() - recording.pausedAt);
+        recording.pauseCount = (recording.pauseCount || 0) + 1;
+        recording.pausedAt = null;
+        
+        if (recording.pauseHeartbeat) {
+            clearInterval(recording.pauseHeartbeat);
+            recording.pauseHeartbeat = null;
+        }
+        stateManager.dbManager.updateRecordingSession(recording.sessionId, {
+            pausedAt: null,
+            totalPausedMs: recording.totalPausedMs
+        }).catch(() => {});
+        
+        scheduleAutoStop(recordingId, recording);
+        updateRecordingsPreview();
+        if (!silent) {
+            stateManager.showAlert(`Recording ${recordingId} resumed`);
+        }
+        return true;
+    } catch (error) {
+        console.error('Error resuming recording:', error);
+        stateManager.showAlert(`Error resuming recording ${recordingId}`, 'error');
+        return false;
+    }
+}
+
+function togglePauseRecording(recordingId) {
+    const recording = stateManager.screenRecordings.get(recordingId);
+    if (!recording) return;
+    
+    if (recording.pausedAt) {
+        resumeScreenRecording(recordingId);
+    } else {
+        pauseScreenRecording(recordingId);
+    }
+}
+
+// Pauses everything that's running, or resumes everything if all recordings are already paused
+function togglePauseAllRecordings() {
+    const recordings = Array.from(stateManager.screenRecordings.entries());
+    const anyRunning = recordings.some(([, recording]) => !recording.pausedAt);
+    
+    let changed = 0;
+    recordings.forEach(([id]) => {
+        const done = anyRunning
+            ? pauseScreenRecording(id, { silent: true })
+            : resumeScreenRecording(id, { silent: true });
+        if (done) changed++;
+    });
+    
+    if (changed > 0) {
+        stateManager.showAlert(`${changed} recording${changed === 1 ? '' : 's'} ${anyRunning ? 'paused' : 'resumed'}`);
+    }
+    updatePauseAllButton();
+}
+
+function updatePauseAllButton() {
+    const pauseAllBtn = document.getElementById('pause-all-btn');
+    if (!pauseAllBtn) return;
+    
+    const recordings = Array.from(stateManager.screenRecordings.values());
+    pauseAllBtn.disabled = recordings.length === 0;
+    pauseAllBtn.textContent = recordings.length > 0 && recordings.every(recording => recording.pausedAt)
+        ? 'Resume All'
+        : 'Pause All';
+}
+
 function startStatusUpdates() {
     if (stateManager.statusUpdateInterval) {
         clearInterval(stateManager.statusUpdateInterval);
@@ -975,53 +2294,70 @@ function formatTime(seconds) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
-function startScreenRecording(stream, recordingId, duration, tabTitle = "Unknown") {
-    const selectedFormat = document.getElementById('video-format').value;
-    let options = {};
+function startScreenRecording(stream, recordingId, duration, tabTitle = "Unknown", micStream = null, settings = captureRecordingSettings(), name = { baseFilename: `Screen_Recording_${recordingId}`, tabCount: 1 }) {
+    const selectedFormat = settings.format;
+    const trackSettings = getTrackSettingsSnapshot(stream);
     
-    // Set MIME type based on selected format with fallbacks
-    switch(selectedFormat) {
-        case 'mp4':
-            options.mimeType = 'video/mp4';
-            if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-                options.mimeType = 'video/webm'; // Fallback
-            }
-            break;
-        case 'mkv':
-            options.mimeType = 'video/x-matroska';
-            if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-                options.mimeType = 'video/webm'; // Fallback
-            }
-            break;
-        case 'avi':
-            options.mimeType = 'video/avi';
-            if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-                options.mimeType = 'video/webm'; // Fallback
-            }
-            break;
-        default: // webm
-            options.mimeType = 'video/webm;codecs=vp9,opus';
-            if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-                options.mimeType = 'video/webm;codecs=vp8,opus';
-                if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-                    options.mimeType = 'video/webm';
-                }
-            }
-    }
+    // Containers MediaRecorder can't write directly are recorded as WebM and remuxed on save
+    const profile = settings.profile;
+    const options = {
+        mimeType: resolveRecorderFormat(selectedFormat, profile.codecs).mimeType,
+        videoBitsPerSecond: profile.videoBitsPerSecond,
+        audioBitsPerSecond: profile.audioBitsPerSecond,
+        // Only Chromium honours this; elsewhere the encoder picks its own keyframe spacing
+        videoKeyFrameIntervalDuration: profile.keyframeIntervalMs
+    };
     
-    const mediaRecorder = new MediaRecorder(stream, options);
+    // Tab audio and microphone are mixed into one track before they reach the recorder
+    const { recorderStream, audioMixer } = createRecorderStream(stream, micStream, tabTitle);
+    const audioSources = audioMixer ? audioMixer.describeSources() : [];
+    
+    const mediaRecorder = new MediaRecorder(recorderStream, options);
     const recordedChunks = [];
     const startTime = Date.now();
     
-    mediaRecorder.ondataavailable = function(event) {
+    // Chunks are also streamed to IndexedDB so a crash or reload doesn't lose the capture
+    const sessionId = `${startTime}-${recordingId}`;
+    stateManager.dbManager.startRecordingSession({
+        sessionId,
+        tabTitle,
+        format: selectedFormat,
+        quality: settings.quality,
+        settings,
+        trackSettings,
+        mimeType: options.mimeType,
+        baseFilename: name.baseFilename,
+        audioSources,
+        startTime,
+        chunkCount: 0,
+        lastChunkAt: startTime
+    }).catch(error => {
+        console.warn('Could not register recording session for crash recovery:', error);
+    });
+    holdRecordingSessionLock(sessionId);
+    
+    let chunkIndex = 0;
+    let chunkPersistWarned = false;
+    
+    mediaRecorder.ondataavailable = function(event) {
         if (event.data.size > 0) {
             recordedChunks.push(event.data);
+            
+            stateManager.dbManager.appendRecordingChunk(sessionId, chunkIndex++, event.data).catch(error => {
+                console.warn(`Failed to persist chunk for recording ${recordingId}:`, error);
+                if (!chunkPersistWarned) {
+                    chunkPersistWarned = true;
+                    stateManager.showAlert(`Recording ${recordingId} can't be backed up while recording - it won't be recoverable after a crash`, 'error');
+                }
+            });
         }
     };
     
     mediaRecorder.onstop = function() {
         // Save the recording data
-        saveScreenRecording(recordedChunks, recordingId, startTime, tabTitle);
+        clearRecordingTimers(recordingEntry);
+        releaseRecordingAudio(recordingEntry);
+        saveScreenRecording(recordedChunks, recordingId, startTime, tabTitle, recordingEntry);
         
         // Clean up the recording from active list
         setTimeout(() => {
@@ -1041,51 +2377,230 @@ function startScreenRecording(stream, recordingId, duration, tabTitle = "Unknown
     
     mediaRecorder.start(1000);
     
-    stateManager.screenRecordings.set(recordingId, {
+    const recordingEntry = {
         mediaRecorder,
         stream,
+        audioMixer,
+        audioSources,
         startTime,
         duration,
         tabTitle,
+        sessionId,
+        settings,
+        trackSettings,
+        format: selectedFormat,
+        mimeType: options.mimeType,
+        baseFilename: name.baseFilename,
+        tabCount: name.tabCount,
+        pausedAt: null,
+        totalPausedMs: 0,
+        pauseCount: 0,
+        autoStopTimer: null,
         screenshot: null
-    });
+    };
+    stateManager.screenRecordings.set(recordingId, recordingEntry);
     
-    // Auto-stop after duration
-    setTimeout(() => {
-        if (stateManager.screenRecordings.has(recordingId)) {
-            stopScreenRecording(recordingId);
-        }
-    }, duration);
+    // Auto-stop after duration (paused time doesn't count)
+    scheduleAutoStop(recordingId, recordingEntry);
     
     updateRecordingsPreview();
     startStatusUpdates();
+    if (audioMixer) {
+        startAudioMeterUpdates();
+    }
+}
+
+// Build the stream handed to MediaRecorder: the captured video plus a Web Audio mix of tab audio and mic
+function createRecorderStream(displayStream, micStream, tabTitle = 'this tab') {
+    const tabAudioTracks = displayStream.getAudioTracks();
+    
+    if (tabAudioTracks.length === 0 && !micStream) {
+        return { recorderStream: displayStream, audioMixer: null };
+    }
+    
+    if (!RecordingAudioMixer.isSupported()) {
+        if (micStream) {
+            micStream.getTracks().forEach(track => track.stop());
+            stateManager.showAlert('Audio mixing isn\'t supported in this browser - recording without the microphone', 'error');
+        }
+        return { recorderStream: displayStream, audioMixer: null };
+    }
+    
+    const audioMixer = new RecordingAudioMixer();
+    if (tabAudioTracks.length > 0) {
+        audioMixer.addSource('tab', new MediaStream(tabAudioTracks), 'Tab audio');
+    }
+    if (micStream) {
+        const micLabel = micStream.getAudioTracks()[0]?.label || 'Microphone';
+        audioMixer.addSource('microphone', micStream, micLabel, { ownsStream: true });
+    }
+    // The page was just clicked, so the context is normally allowed to start
+    warnIfAudioMixerSuspended(audioMixer, tabTitle);
+    
+    const recorderStream = new MediaStream([
+        ...displayStream.getVideoTracks(),
+        ...audioMixer.getOutputTracks()
+    ]);
+    return { recorderStream, audioMixer };
+}
+
+// Autoplay rules can keep the audio context suspended, and then the mixed track records silence.
+// Tell the user instead of letting them find a silent video afterwards.
+function warnIfAudioMixerSuspended(audioMixer, tabTitle) {
+    let warned = false;
+    const check = () => {
+        if (warned || audioMixer.context.state !== 'suspended') return;
+        warned = true;
+        
+        const missing = audioMixer.sources.has('tab')
+            ? (audioMixer.sources.has('microphone') ? 'no tab audio or microphone' : 'no tab audio')
+            : 'no microphone audio';
+        console.warn(`Audio context for "${tabTitle}" is suspended; the recording will be silent`);
+        stateManager.showAlert(`The browser blocked audio playback - the recording of "${tabTitle}" has ${missing}. Stop it, click the page and record again to include sound.`, 'error');
+    };
+    
+    // resume() can stay pending rather than fail while it's blocked, so also look again shortly after
+    audioMixer.context.resume().then(check, check);
+    setTimeout(check, 1000);
+}
+
+// Tear down the audio graph and release the microphone once a recording ends
+function releaseRecordingAudio(recording) {
+    if (recording && recording.audioMixer) {
+        recording.audioMixer.destroy();
+        recording.audioMixer = null;
+    }
+}
+
+function setRecordingGain(recordingId, kind, percent) {
+    const recording = stateManager.screenRecordings.get(recordingId);
+    if (!recording || !recording.audioMixer) return;
+    
+    recording.audioMixer.setGain(kind, parseInt(percent) / 100);
+    const valueLabel = document.getElementById(`audio-gain-value-${recordingId}-${kind}`);
+    if (valueLabel) {
+        valueLabel.textContent = `${percent}%`;
+    }
+}
+
+// Drive the level meters from the analysers; stops by itself once no recording has audio
+function startAudioMeterUpdates() {
+    if (stateManager.audioMeterFrame) return;
+    
+    const updateMeters = () => {
+        let hasAudio = false;
+        stateManager.screenRecordings.forEach((recording, id) => {
+            if (!recording.audioMixer) return;
+            hasAudio = true;
+            
+            recording.audioMixer.sources.forEach((source, kind) => {
+                const meter = document.getElementById(`audio-meter-${id}-${kind}`);
+                if (meter) {
+                    const level = recording.pausedAt ? 0 : recording.audioMixer.getLevel(kind);
+                    meter.style.width = `${Math.round(level * 100)}%`;
+                }
+            });
+        });
+        
+        stateManager.audioMeterFrame = hasAudio ? requestAnimationFrame(updateMeters) : null;
+    };
+    
+    stateManager.audioMeterFrame = requestAnimationFrame(updateMeters);
+}
+
+// Microphone picker - labels are only visible once the user has granted mic access
+async function refreshMicrophoneList(requestPermission = false) {
+    const select = document.getElementById('mic-device');
+    if (!select || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+    
+    try {
+        if (requestPermission) {
+            const permissionStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            permissionStream.getTracks().forEach(track => track.stop());
+        }
+        
+        const devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'audioinput');
+        // Fall back to the saved device so the choice survives a reload
+        const previousValue = select.value || settingsManager.get('micDeviceId');
+        
+        select.innerHTML = '<option value="">No microphone</option>';
+        devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `Microphone ${index + 1}`;
+            select.appendChild(option);
+        });
+        
+        if (devices.some(device => device.deviceId === previousValue)) {
+            select.value = previousValue;
+        }
+    } catch (error) {
+        console.warn('Could not list microphones:', error);
+        if (requestPermission) {
+            stateManager.showAlert('Microphone access was denied', 'error');
+        }
+    }
+}
+
+function initializeMicrophonePicker() {
+    refreshMicrophoneList();
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', () => refreshMicrophoneList());
+    }
+}
+
+async function openSelectedMicrophone() {
+    const select = document.getElementById('mic-device');
+    const deviceId = select ? select.value : '';
+    if (!deviceId) return null;
+    
+    try {
+        return await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: { exact: deviceId },
+                echoCancellation: true,
+                noiseSuppression: true
+            }
+        });
+    } catch (error) {
+        console.warn('Microphone unavailable:', error);
+        stateManager.showAlert('Microphone unavailable - recording tab audio only', 'error');
+        return null;
+    }
 }
 
-async function saveScreenRecording(recordedChunks, recordingId, startTime, tabTitle = "Unknown") {
+async function saveScreenRecording(recordedChunks, recordingId, startTime, tabTitle = "Unknown", recordingInfo = {}) {
     if (recordedChunks.length === 0) {
         stateManager.showAlert(`No recording data to save for screen ${recordingId}`, 'error');
+        discardRecordingSession(recordingInfo.sessionId);
         return;
     }
     
-    const selectedFormat = document.getElementById('video-format').value;
-    const qualitySlider = document.getElementById('video-quality');
-    const qualityValues = ['4k', '1440p', '1080p', '720p', '480p'];
-    const selectedQuality = qualityValues[parseInt(qualitySlider.value)];
-    const blob = new Blob(recordedChunks, { type: getMimeTypeForFormat(selectedFormat) });
+    // Labels come from the snapshot taken at start, not whatever the controls say now
+    const settings = recordingInfo.settings || captureRecordingSettings();
+    const selectedQuality = settings.quality;
+    
+    // Remux into the container that was asked for; if that isn't possible the file keeps its real format
+    const finalized = await finalizeRecordingBlob(recordedChunks, {
+        format: settings.format,
+        mimeType: recordingInfo.mimeType
+    });
+    const blob = finalized.blob;
+    const selectedFormat = finalized.format;
+    if (finalized.warning) {
+        stateManager.showAlert(finalized.warning, 'error');
+    }
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     
     // Clean tab title for filename
     const cleanTabTitle = preserveUrlForDisplay(tabTitle).substring(0, 30);
-    const duration = (Date.now() - startTime) / 1000;
     
-    // Get existing recordings count for naming
+    // Only count time actually spent recording; a recording stopped while paused ends at the pause
+    const pausedMs = (recordingInfo.totalPausedMs || 0) + (recordingInfo.pausedAt ? Date.now() - recordingInfo.pausedAt : 0);
+    const duration = Math.max(0, Date.now() - startTime - pausedMs) / 1000;
+    
     try {
-        const existingRecordings = await stateManager.dbManager.getAllRecordings();
-        const sameTabCount = existingRecordings.filter(rec => 
-            rec.tabTitle && rec.tabTitle.toLowerCase() === tabTitle.toLowerCase()
-        ).length + 1;
-        
-        // Use custom filename if set during recording, otherwise generate default
+        // Use custom filename if set during recording, otherwise the name rendered from the template at start
         const recordingForFilename = stateManager.screenRecordings.get(recordingId);
         let customFilename = null;
         
@@ -1107,12 +2622,12 @@ async function saveScreenRecording(recordedChunks, recordingId, startTime, tabTi
             console.log(`Using preserved custom filename: ${baseFilename} for recording ${recordingId}`);
         }
         else {
-            // Use default naming convention
-            baseFilename = `${cleanTabTitle}_${sameTabCount}_${selectedQuality}`;
-            console.log(`Using default filename: ${baseFilename} for recording ${recordingId}`);
+            baseFilename = recordingInfo.baseFilename || `${cleanTabTitle}_${recordingId}_${selectedQuality}`;
+            console.log(`Using template filename: ${baseFilename} for recording ${recordingId}`);
         }
         
-        const filename = `${baseFilename}.${selectedFormat}`;
+        // Same Copy-suffix handling as renaming, so two recordings can't share a name
+        const filename = await checkForDuplicateId(baseFilename, selectedFormat);
         
         // Get screenshot
         let screenshot = null;
@@ -1135,44 +2650,326 @@ async function saveScreenRecording(recordedChunks, recordingId, startTime, tabTi
             format: selectedFormat,
             quality: selectedQuality,
             tabTitle: tabTitle,
-            tabCount: sameTabCount,
+            tabCount: recordingInfo.tabCount || 1,
+            pausedDuration: pausedMs / 1000,
+            pauseCount: recordingInfo.pauseCount || 0,
+            audioSources: recordingInfo.audioSources || [],
+            settings: settings,
+            trackSettings: recordingInfo.trackSettings || null,
             screenshot: screenshot
         };
         
         // Check storage usage before saving
-        const currentUsage = await stateManager.dbManager.getStorageUsage();
-        const newSize = blob.size;
-        const totalSize = currentUsage + newSize;
-        const maxSize = 1024 * 1024 * 1024; // 1GB limit (1024MB)
+        const storageCheck = await checkStorageCapacity(blob.size, { sessionId: recordingInfo.sessionId });
         
-        if (totalSize > maxSize) {
-            const usageMB = (currentUsage / (1024 * 1024)).toFixed(1);
-            const newSizeMB = (newSize / (1024 * 1024)).toFixed(1);
-            stateManager.showAlert(`Storage limit reached! Current: ${usageMB}MB, New recording: ${newSizeMB}MB. Please delete old recordings or download this one directly.`, 'error');
-            
+        if (!storageCheck.allowed) {
             // Force download instead of saving
             downloadRecordingDirectly(blob, filename);
+            discardRecordingSession(recordingInfo.sessionId);
             return;
         }
         
         // Save to IndexedDB
-        await stateManager.dbManager.saveRecording(recordingData);
+        const savedId = await stateManager.dbManager.saveRecording(recordingData);
+        discardRecordingSession(recordingInfo.sessionId);
         await loadSavedRecordings(); // Refresh the UI
         
         const sizeMB = (blob.size / (1024 * 1024)).toFixed(1);
-        const totalUsageMB = (totalSize / (1024 * 1024)).toFixed(1);
-        stateManager.showAlert(`Recording saved: ${filename} (${sizeMB}MB). Total storage: ${totalUsageMB}/1024MB`);
+        const totalUsageMB = (storageCheck.totalSize / (1024 * 1024)).toFixed(1);
+        stateManager.showAlert(`Recording saved: ${filename} (${sizeMB}MB). Total storage: ${totalUsageMB}/${settingsManager.get('storageLimitMB')}MB`);
+        
+        // The recording that was just saved is never one the rules take
+        await applyRetentionRules({ keepIds: [savedId] });
         
     } catch (error) {
         console.error('Failed to save recording:', error);
         stateManager.showAlert('Failed to save recording. Downloading directly.', 'error');
         
-        // Fallback to direct download
+        // Fallback to direct download - the backed-up chunks stay recoverable in case this fails too
         const filename = `${cleanTabTitle}_${timestamp}_${selectedQuality}.${selectedFormat}`;
         downloadRecordingDirectly(blob, filename);
     }
 }
 
+// Check whether a new blob of this size still fits, both under the user's cap and in what
+// the browser will actually give this site - warning the user if not
+// sessionId: the crash-recovery backup of the recording being saved. Its chunks are dropped once the
+// save succeeds, so they don't count against the browser quota here.
+async function checkStorageCapacity(newSize, { sessionId = null } = {}) {
+    let currentUsage = await stateManager.dbManager.getStorageUsage();
+    
+    // Trashed recordings still take space; give it up before refusing a new recording
+    const overCap = currentUsage + newSize - settingsManager.getStorageLimitBytes();
+    if (overCap > 0 && await purgeTrashForSpace(overCap) > 0) {
+        currentUsage = await stateManager.dbManager.getStorageUsage();
+    }
+    
+    const totalSize = currentUsage + newSize;
+    const usageMB = (currentUsage / (1024 * 1024)).toFixed(1);
+    const newSizeMB = (newSize / (1024 * 1024)).toFixed(1);
+    
+    if (totalSize > settingsManager.getStorageLimitBytes()) {
+        stateManager.showAlert(`Storage limit reached! Current: ${usageMB}MB, New recording: ${newSizeMB}MB. Please delete old recordings or download this one directly.`, 'error');
+        return { allowed: false, currentUsage, totalSize };
+    }
+    
+    let backupBytes = 0;
+    if (sessionId) {
+        try {
+            const chunks = await stateManager.dbManager.getRecordingSessionChunks(sessionId);
+            backupBytes = chunks.reduce((total, chunk) => total + (chunk ? chunk.size : 0), 0);
+        } catch (error) {
+            console.warn('Could not size the recording backup:', error);
+        }
+    }
+    const getEstimate = async () => {
+        const result = await getBrowserStorageEstimate();
+        return result ? { ...result, usage: Math.max(0, result.usage - backupBytes) } : null;
+    };
+    
+    let estimate = await getEstimate();
+    if (estimate && estimate.usage + newSize > estimate.quota && await purgeTrashForSpace(estimate.usage + newSize - estimate.quota) > 0) {
+        estimate = await getEstimate();
+    }
+    if (estimate && estimate.usage + newSize > estimate.quota) {
+        const freeMB = (Math.max(0, estimate.quota - estimate.usage) / (1024 * 1024)).toFixed(1);
+        stateManager.showAlert(`The browser only has ${freeMB}MB left for this site, New recording: ${newSizeMB}MB. Please delete old recordings or download this one directly.`, 'error');
+        return { allowed: false, currentUsage, totalSize };
+    }
+    
+    return { allowed: true, currentUsage, totalSize };
+}
+
+// What the browser says this site may store. Usage here covers every store on the origin,
+// including crash-recovery chunks, so it is always at least the recordings' own total.
+async function getBrowserStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return typeof quota === 'number' ? { usage: usage || 0, quota } : null;
+    } catch (error) {
+        console.warn('Storage estimate unavailable:', error);
+        return null;
+    }
+}
+
+// Ask the browser not to evict recordings under storage pressure. Browsers may grant this
+// silently, prompt, or refuse; the result is kept for the usage banner.
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+        stateManager.storagePersisted = false;
+        return false;
+    }
+    try {
+        stateManager.storagePersisted = await navigator.storage.persisted() || await navigator.storage.persist();
+    } catch (error) {
+        console.warn('Persistent storage request failed:', error);
+        stateManager.storagePersisted = false;
+    }
+    return stateManager.storagePersisted;
+}
+
+// Each running session holds a Web Lock for as long as it records. The browser drops the lock
+// when the tab closes or crashes, so other tabs can tell a live recording from an abandoned one
+// straight away instead of waiting for its heartbeat to go stale.
+const RECORDING_SESSION_LOCK_PREFIX = 'recording-session:';
+const recordingSessionLockReleases = new Map();
+let recoveryRecheckTimer = null;
+
+function holdRecordingSessionLock(sessionId) {
+    if (!navigator.locks) return;
+    navigator.locks.request(RECORDING_SESSION_LOCK_PREFIX + sessionId, () => new Promise(resolve => {
+        recordingSessionLockReleases.set(sessionId, resolve);
+    })).catch(error => {
+        console.warn(`Could not lock recording session ${sessionId}:`, error);
+    });
+}
+
+function releaseRecordingSessionLock(sessionId) {
+    const release = recordingSessionLockReleases.get(sessionId);
+    if (release) {
+        recordingSessionLockReleases.delete(sessionId);
+        release();
+    }
+}
+
+// Ids of sessions some open tab is still recording, or null when Web Locks aren't available
+async function getLiveRecordingSessionIds() {
+    if (!navigator.locks || !navigator.locks.query) return null;
+    try {
+        const { held } = await navigator.locks.query();
+        return new Set(held
+            .map(lock => lock.name)
+            .filter(name => name && name.startsWith(RECORDING_SESSION_LOCK_PREFIX))
+            .map(name => name.slice(RECORDING_SESSION_LOCK_PREFIX.length)));
+    } catch (error) {
+        console.warn('Could not query recording session locks:', error);
+        return null;
+    }
+}
+
+// Remove the crash-recovery backup once a recording no longer needs it
+function discardRecordingSession(sessionId) {
+    if (!sessionId) return;
+    releaseRecordingSessionLock(sessionId);
+    stateManager.dbManager.deleteRecordingSession(sessionId).catch(error => {
+        console.warn(`Failed to clean up recording session ${sessionId}:`, error);
+    });
+}
+
+// Show recordings that were still running when the page crashed or was closed
+async function loadRecoverableSessions() {
+    const recoveryList = document.getElementById('recovery-list');
+    if (!recoveryList) return;
+    
+    try {
+        const activeSessionIds = new Set(
+            Array.from(stateManager.screenRecordings.values()).map(recording => recording.sessionId)
+        );
+        const liveSessionIds = await getLiveRecordingSessionIds();
+        const isLive = session => liveSessionIds
+            ? liveSessionIds.has(session.sessionId)
+            // Without Web Locks, skip sessions that are still receiving chunks (e.g. recording in another tab)
+            : Date.now() - Math.max(session.lastChunkAt || session.startTime, session.heartbeatAt || 0) <= CONFIG.RECOVERY_STALE_AFTER;
+        
+        const otherSessions = (await stateManager.dbManager.getRecordingSessions())
+            .filter(session => !activeSessionIds.has(session.sessionId));
+        const sessions = otherSessions.filter(session => !isLive(session));
+        
+        // Look again later for sessions that looked live, in case their tab has gone since
+        clearTimeout(recoveryRecheckTimer);
+        if (sessions.length < otherSessions.length) {
+            recoveryRecheckTimer = setTimeout(loadRecoverableSessions, CONFIG.RECOVERY_STALE_AFTER);
+        }
+        
+        if (sessions.length === 0) {
+            recoveryList.style.display = 'none';
+            recoveryList.innerHTML = '';
+            return;
+        }
+        
+        sessions.sort((a, b) => b.startTime - a.startTime);
+        
+        recoveryList.style.display = 'block';
+        recoveryList.innerHTML = `
+            <div class="recovery-header">
+                <span class="warning-icon">⚠️</span>
+                <span>Unfinished recordings found - the page closed before they were saved</span>
+            </div>
+        `;
+        
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'recovery-item';
+            
+            const started = new Date(session.startTime).toLocaleString();
+            const recordedSeconds = getSessionRecordedSeconds(session);
+            
+            item.innerHTML = `
+                <div class="recovery-item-info">
+                    <div class="recording-name">${preserveUrlForDisplay(session.tabTitle || 'Screen Recording')}</div>
+                    <div class="recording-details">
+                        Started ${started} • ~${formatTime(recordedSeconds)} recorded • ${session.chunkCount || 0} chunks
+                    </div>
+                </div>
+                <div class="recording-item-actions">
+                    <button class="crop-btn" onclick="recoverRecordingSession('${session.sessionId}')">Recover</button>
+                    <button class="download-btn delete-btn" onclick="discardRecoverableSession('${session.sessionId}')">Discard</button>
+                </div>
+            `;
+            recoveryList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Failed to load recoverable recordings:', error);
+        recoveryList.style.display = 'none';
+    }
+}
+
+// Put a crashed session's chunks back together and save it like a normal recording
+async function recoverRecordingSession(sessionId) {
+    try {
+        const sessions = await stateManager.dbManager.getRecordingSessions();
+        const session = sessions.find(s => s.sessionId === sessionId);
+        if (!session) {
+            stateManager.showAlert('Recording session not found', 'error');
+            await loadRecoverableSessions();
+            return;
+        }
+        
+        const chunks = await stateManager.dbManager.getRecordingSessionChunks(sessionId);
+        if (chunks.length === 0) {
+            await stateManager.dbManager.deleteRecordingSession(sessionId);
+            stateManager.showAlert('No recording data could be recovered for this session', 'error');
+            await loadRecoverableSessions();
+            return;
+        }
+        
+        const finalized = await finalizeRecordingBlob(chunks, {
+            format: session.format || 'webm',
+            mimeType: session.mimeType
+        });
+        const { blob, format } = finalized;
+        if (finalized.warning) {
+            stateManager.showAlert(finalized.warning, 'error');
+        }
+        const tabTitle = session.tabTitle || 'Screen Recording';
+        const cleanTabTitle = preserveUrlForDisplay(tabTitle).substring(0, 30);
+        const filename = await checkForDuplicateId(`${session.baseFilename || cleanTabTitle}_recovered`, format);
+        
+        const storageCheck = await checkStorageCapacity(blob.size, { sessionId });
+        if (!storageCheck.allowed) {
+            downloadRecordingDirectly(blob, filename);
+            await stateManager.dbManager.deleteRecordingSession(sessionId);
+            await loadRecoverableSessions();
+            return;
+        }
+        
+        await stateManager.dbManager.saveRecording({
+            filename: filename,
+            blob: blob,
+            size: blob.size,
+            timestamp: new Date(session.lastChunkAt || session.startTime).toISOString(),
+            duration: getSessionRecordedSeconds(session),
+            pausedDuration: (session.totalPausedMs || 0) / 1000,
+            audioSources: session.audioSources || [],
+            format: format,
+            quality: session.quality,
+            settings: session.settings || null,
+            trackSettings: session.trackSettings || null,
+            tabTitle: tabTitle,
+            screenshot: null,
+            recovered: true
+        });
+        await stateManager.dbManager.deleteRecordingSession(sessionId);
+        
+        await loadRecoverableSessions();
+        await loadSavedRecordings();
+        
+        const sizeMB = (blob.size / (1024 * 1024)).toFixed(1);
+        stateManager.showAlert(`Recovered recording saved: ${filename} (${sizeMB}MB)`);
+    } catch (error) {
+        console.error('Recovery failed:', error);
+        stateManager.showAlert('Recovery failed: ' + error.message, 'error');
+    }
+}
+
+// Rough length of a crashed session: time until its last chunk, minus completed pauses
+function getSessionRecordedSeconds(session) {
+    const lastChunkAt = session.lastChunkAt || session.startTime;
+    return Math.max(0, lastChunkAt - session.startTime - (session.totalPausedMs || 0)) / 1000;
+}
+
+async function discardRecoverableSession(sessionId) {
+    try {
+        await stateManager.dbManager.deleteRecordingSession(sessionId);
+        await loadRecoverableSessions();
+        stateManager.showAlert('Unfinished recording discarded');
+    } catch (error) {
+        console.error('Discard failed:', error);
+        stateManager.showAlert('Discard failed', 'error');
+    }
+}
+
 // Helper function for direct downloads
 function downloadRecordingDirectly(blob, filename) {
     const url = URL.createObjectURL(blob);
@@ -1198,11 +2995,121 @@ function getMimeTypeForFormat(format) {
     }
 }
 
+function getFormatForMimeType(mimeType) {
+    const type = (mimeType || '').split(';')[0];
+    if (type === 'video/mp4') return 'mp4';
+    if (type === 'video/x-matroska') return 'mkv';
+    return 'webm';
+}
+
+// Recorder types per container and codec, best first. Anything missing here can't end
+// up in that container - e.g. VP8 isn't allowed in MP4 and the MP4 remuxer has no AV1 path.
+const RECORDER_CODEC_TYPES = {
+    webm: {
+        vp9: ['video/webm;codecs=vp9,opus'],
+        vp8: ['video/webm;codecs=vp8,opus'],
+        av1: ['video/webm;codecs=av01,opus', 'video/webm;codecs=av1,opus']
+    },
+    mp4: {
+        h264: ['video/mp4;codecs=avc1,opus', 'video/webm;codecs=h264,opus'],
+        vp9: ['video/mp4;codecs=vp09,opus', 'video/mp4;codecs=vp9,opus', 'video/webm;codecs=vp9,opus'],
+        av1: ['video/mp4;codecs=av01,opus']
+    },
+    mkv: {
+        h264: ['video/x-matroska;codecs=avc1,opus', 'video/webm;codecs=h264,opus'],
+        vp9: ['video/webm;codecs=vp9,opus'],
+        vp8: ['video/webm;codecs=vp8,opus'],
+        av1: ['video/webm;codecs=av1,opus']
+    }
+};
+
+// MediaRecorder type for a chosen format: the container itself when the browser can record it,
+// otherwise WebM with codecs the target container can hold so it can be remuxed afterwards.
+// Codecs are tried in the profile's order.
+// Returns { mimeType, codec, needsRemux } - codec is null when only a bare type was accepted.
+function resolveRecorderFormat(format, codecPreference = ['vp9', 'vp8', 'h264', 'av1']) {
+    const table = RECORDER_CODEC_TYPES[format] || RECORDER_CODEC_TYPES.webm;
+    
+    for (const codec of codecPreference) {
+        const mimeType = (table[codec] || []).find(type => MediaRecorder.isTypeSupported(type));
+        if (mimeType) {
+            return { mimeType, codec, needsRemux: getFormatForMimeType(mimeType) !== format };
+        }
+    }
+    
+    const mimeType = format === 'mp4' && MediaRecorder.isTypeSupported('video/mp4') ? 'video/mp4' : 'video/webm';
+    return { mimeType, codec: null, needsRemux: getFormatForMimeType(mimeType) !== format };
+}
+
+// Turn recorded chunks (or an edit's output) into a file of the requested format.
+// Returns { blob, format, warning } - format is what the file really is, which only differs
+// from the request when it couldn't be produced, and warning then says why.
+async function finalizeRecordingBlob(chunks, { format, mimeType }) {
+    const recordedFormat = getFormatForMimeType(mimeType);
+    const recorded = new Blob(chunks, { type: getMimeTypeForFormat(recordedFormat) });
+    
+    if (format === recordedFormat) {
+        const blob = recordedFormat === 'mp4' ? recorded : await makeWebMSeekable(recorded);
+        return { blob, format, warning: null };
+    }
+    
+    if (format === 'mp4' || format === 'mkv') {
+        try {
+            const blob = format === 'mp4' ? await remuxWebMToMP4(recorded) : await remuxWebMToMatroska(recorded);
+            return { blob, format, warning: null };
+        } catch (error) {
+            console.warn(`Could not convert recording to ${format}:`, error);
+            return {
+                blob: recordedFormat === 'mp4' ? recorded : await makeWebMSeekable(recorded),
+                format: recordedFormat,
+                warning: `Couldn't produce ${format.toUpperCase()} (${error.message}) - saved as ${recordedFormat.toUpperCase()} instead`
+            };
+        }
+    }
+    
+    return {
+        blob: recordedFormat === 'mp4' ? recorded : await makeWebMSeekable(recorded),
+        format: recordedFormat,
+        warning: `${format.toUpperCase()} can't be produced in the browser - saved as ${recordedFormat.toUpperCase()} instead`
+    };
+}
+
+// Tell the user up front what the chosen format will really give them
+function updateFormatNote() {
+    const note = document.getElementById('format-note');
+    const select = document.getElementById('video-format');
+    if (!note || !select || typeof MediaRecorder === 'undefined') return;
+    
+    const format = select.value;
+    const profile = getSelectedRecordingProfile();
+    const { mimeType, codec, needsRemux } = resolveRecorderFormat(format, profile.codecs);
+    let message = '';
+    
+    if (format === 'avi') {
+        message = 'AVI can\'t be produced in the browser - recordings will be saved as WebM.';
+    } else if (needsRemux && mimeType === 'video/webm') {
+        message = `This browser can't record video that fits in ${format.toUpperCase()} - recordings will be saved as WebM.`;
+    } else if (needsRemux) {
+        message = `Recorded as WebM and converted to ${format.toUpperCase()} when each recording is saved.`;
+    }
+    
+    // The profile's first choice may not fit this container or browser
+    if (codec && codec !== profile.codecs[0]) {
+        const fallback = `${RECORDING_CODEC_LABELS[profile.codecs[0]]} isn't available for ${format.toUpperCase()} here - ${profile.name} will use ${RECORDING_CODEC_LABELS[codec]}.`;
+        message = message ? `${message} ${fallback}` : fallback;
+    }
+    
+    note.textContent = message;
+    note.style.display = message ? 'block' : 'none';
+}
+
 function stopAllRecordings() {
     stateManager.screenRecordings.forEach((recording, id) => {
+        clearRecordingTimers(recording);
         if (recording.mediaRecorder && recording.mediaRecorder.state !== 'inactive') {
             recording.mediaRecorder.stop();
         }
+        releaseRecordingAudio(recording);
         if (recording.stream) {
             recording.stream.getTracks().forEach(track => track.stop());
         }
@@ -1223,972 +3130,5530 @@ function clearAllRecordings() {
 
 async function clearAllSavedRecordings() {
     try {
-        await stateManager.dbManager.clearAllRecordings();
-        await loadSavedRecordings();
-        // Update compiler table in real-time
-        if (typeof updateCompilerTable === 'function') {
-            updateCompilerTable();
+        const recordings = await stateManager.dbManager.getAllRecordings();
+        if (recordings.length === 0) {
+            stateManager.showAlert('There are no saved recordings to delete', 'error');
+            return;
         }
-        stateManager.showAlert('All saved recordings deleted');
+        
+        const confirmed = await showConfirmDialog({
+            title: 'Delete All Saved Videos',
+            message: `All ${recordings.length} saved recordings will be moved to the trash:`,
+            items: recordings.map(recording => recording.filename),
+            confirmLabel: 'Delete All',
+            danger: true
+        });
+        if (!confirmed) return;
+        
+        await moveRecordingsToTrash(recordings.map(recording => recording.id));
     } catch (error) {
         console.error('Clear all failed:', error);
         stateManager.showAlert('Clear all failed', 'error');
     }
 }
 
-async function loadSavedRecordings() {
+// LIBRARY SEARCH, FILTERS AND SORT
+// The toolbar above the saved list is static markup; its state is kept in localStorage and
+// applied every time the list is drawn, so it survives reloads.
+const DEFAULT_LIBRARY_FILTERS = Object.freeze({
+    search: '',
+    format: '',
+    quality: '',
+    edited: '',
+    folder: '',
+    tag: '',
+    dateFrom: '',
+    dateTo: '',
+    sort: 'date-desc'
+});
+const NO_FOLDER_FILTER = '__none__';
+let currentOrganizeSession = null;
+
+function loadLibraryFilters() {
     try {
-        const recordings = await stateManager.dbManager.getAllRecordings();
-        const recordingsList = document.getElementById('recordings-list');
-        
-        if (recordings.length === 0) {
-            recordingsList.innerHTML = '<p>No recordings yet. Start recording to see your videos here.</p>';
-            return;
-        }
-        
-        // Store current input values and focus state before updating
-        const inputStates = new Map();
-        recordings.forEach(recording => {
-            const existingInput = document.getElementById(`id-input-${recording.id}`);
-            if (existingInput) {
-                inputStates.set(recording.id, {
-                    value: existingInput.value,
-                    focused: document.activeElement === existingInput,
-                    selectionStart: existingInput.selectionStart,
-                    selectionEnd: existingInput.selectionEnd,
-                    hasDuplicateClass: existingInput.classList.contains('duplicate')
-                });
-            }
+        const saved = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.LIBRARY_FILTERS)) || {};
+        const filters = { ...DEFAULT_LIBRARY_FILTERS };
+        Object.keys(filters).forEach(key => {
+            if (typeof saved[key] === 'string') filters[key] = saved[key];
         });
-        
-        // Calculate total storage usage
-        let totalSize = 0;
-        recordings.forEach(recording => totalSize += recording.size || 0);
+        return filters;
+    } catch (error) {
+        console.warn('Saved library filters are unreadable, showing everything:', error);
+        return { ...DEFAULT_LIBRARY_FILTERS };
+    }
+}
+
+function saveLibraryFilters(filters) {
+    try {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.LIBRARY_FILTERS, JSON.stringify(filters));
+    } catch (error) {
+        console.warn('Failed to save library filters:', error);
+    }
+}
+
+const LIBRARY_FILTER_CONTROLS = {
+    search: 'library-search',
+    format: 'library-format',
+    quality: 'library-quality',
+    edited: 'library-edited',
+    folder: 'library-folder',
+    tag: 'library-tag',
+    dateFrom: 'library-date-from',
+    dateTo: 'library-date-to',
+    sort: 'library-sort'
+};
+
+function initializeLibraryFilters() {
+    const filters = loadLibraryFilters();
+    Object.entries(LIBRARY_FILTER_CONTROLS).forEach(([key, elementId]) => {
+        const control = document.getElementById(elementId);
+        if (control) control.value = filters[key];
+    });
+}
+
+function onLibraryFiltersChange() {
+    const filters = { ...DEFAULT_LIBRARY_FILTERS };
+    Object.entries(LIBRARY_FILTER_CONTROLS).forEach(([key, elementId]) => {
+        const control = document.getElementById(elementId);
+        if (control) filters[key] = control.value;
+    });
+    saveLibraryFilters(filters);
+    loadSavedRecordings();
+}
+
+function resetLibraryFilters() {
+    saveLibraryFilters({ ...DEFAULT_LIBRARY_FILTERS });
+    initializeLibraryFilters();
+    loadSavedRecordings();
+}
+
+// Folder and tag dropdowns only offer values that exist, but keep a saved choice even if it's gone
+function populateLibraryFilterOptions(recordings, filters) {
+    const fill = (elementId, allLabel, values, selected, extraOptions = []) => {
+        const select = document.getElementById(elementId);
+        if (!select) return;
+        
+        const options = [...new Set([...values, ...(selected && !extraOptions.some(option => option.value === selected) ? [selected] : [])])]
+            .sort((a, b) => a.localeCompare(b));
+        select.innerHTML = '';
+        [{ value: '', label: allLabel }, ...extraOptions, ...options.map(value => ({ value, label: value }))].forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    };
+    
+    fill('library-folder', 'All folders', recordings.map(recording => recording.folder).filter(Boolean), filters.folder,
+        [{ value: NO_FOLDER_FILTER, label: 'No folder' }]);
+    fill('library-tag', 'All tags', recordings.flatMap(recording => recording.tags || []), filters.tag);
+}
+
+function filterAndSortRecordings(recordings, filters) {
+    const search = filters.search.trim().toLowerCase();
+    const from = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00:00`) : null;
+    const to = filters.dateTo ? new Date(`${filters.dateTo}T23:59:59.999`) : null;
+    
+    const matches = recordings.filter(recording => {
+        if (search) {
+            const haystack = [recording.filename, recording.tabTitle, String(recording.id), recording.folder, ...(recording.tags || [])]
+                .filter(Boolean)
+                .join('\n')
+                .toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+        if (filters.format && (recording.format || 'webm') !== filters.format) return false;
+        if (filters.quality && recording.quality !== filters.quality) return false;
+        if (filters.edited === 'edited' && !recording.isEdited) return false;
+        if (filters.edited === 'unedited' && recording.isEdited) return false;
+        if (filters.folder === NO_FOLDER_FILTER && recording.folder) return false;
+        if (filters.folder && filters.folder !== NO_FOLDER_FILTER && recording.folder !== filters.folder) return false;
+        if (filters.tag && !(recording.tags || []).includes(filters.tag)) return false;
+        
+        const recordedAt = new Date(recording.timestamp);
+        if (from && recordedAt < from) return false;
+        if (to && recordedAt > to) return false;
+        return true;
+    });
+    
+    const comparators = {
+        'date-desc': (a, b) => new Date(b.timestamp) - new Date(a.timestamp),
+        'date-asc': (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
+        'name-asc': (a, b) => a.filename.localeCompare(b.filename, undefined, { numeric: true }),
+        'name-desc': (a, b) => b.filename.localeCompare(a.filename, undefined, { numeric: true }),
+        'size-desc': (a, b) => (b.size || 0) - (a.size || 0),
+        'size-asc': (a, b) => (a.size || 0) - (b.size || 0),
+        'duration-desc': (a, b) => (b.duration || 0) - (a.duration || 0),
+        'duration-asc': (a, b) => (a.duration || 0) - (b.duration || 0)
+    };
+    return matches.sort(comparators[filters.sort] || comparators['date-desc']);
+}
+
+// Tags and folders are typed by the user, so escape them before they go into markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function renderRecordingLabels(recording) {
+    const tags = recording.tags || [];
+    if (!recording.folder && tags.length === 0 && !recording.downloadedAt && !recording.uploadedAt) return '';
+    
+    const folder = recording.folder ? `<span class="recording-folder">📁 ${escapeHtml(recording.folder)}</span>` : '';
+    const tagChips = tags.map(tag => `<span class="recording-tag">#${escapeHtml(tag)}</span>`).join('');
+    const exported = [
+        recording.downloadedAt ? `<span class="recording-status" title="${new Date(recording.downloadedAt).toLocaleString()}">Downloaded</span>` : '',
+        recording.uploadedAt ? `<span class="recording-status" title="${new Date(recording.uploadedAt).toLocaleString()}">Uploaded</span>` : ''
+    ].join('');
+    return `<div class="recording-labels">${folder}${tagChips}${exported}</div>`;
+}
+
+// Comma-separated input to a clean, de-duplicated tag list
+function parseTagInput(text) {
+    return [...new Set(String(text).split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean))].slice(0, 20);
+}
+
+async function openOrganizeModal(recordingId) {
+    try {
+        const recording = await stateManager.dbManager.getRecordingMetadata(recordingId);
+        if (!recording) {
+            stateManager.showAlert('Recording not found', 'error');
+            return;
+        }
+        
+        await showOrganizeModal({
+            recordingIds: [recordingId],
+            batch: false,
+            title: recording.filename,
+            folder: recording.folder || '',
+            tags: (recording.tags || []).join(', ')
+        });
+    } catch (error) {
+        console.error('Failed to open organize dialog:', error);
+        stateManager.showAlert('Failed to load recording: ' + error.message, 'error');
+    }
+}
+
+// Batch mode adds tags to each selection and only changes folders when one is typed in
+async function openBatchOrganizeModal() {
+    const recordingIds = getSelectedRecordingIds();
+    if (recordingIds.length === 0) return;
+    
+    try {
+        await showOrganizeModal({
+            recordingIds,
+            batch: true,
+            title: `${recordingIds.length} selected recordings - tags are added, folder is only changed if filled in`,
+            folder: '',
+            tags: ''
+        });
+    } catch (error) {
+        console.error('Failed to open organize dialog:', error);
+        stateManager.showAlert('Failed to load recordings: ' + error.message, 'error');
+    }
+}
+
+async function showOrganizeModal({ recordingIds, batch, title, folder, tags }) {
+    // Offer folders already in use so projects stay consistently named
+    const recordings = await stateManager.dbManager.getAllRecordings();
+    const folderList = document.getElementById('organize-folder-options');
+    folderList.innerHTML = '';
+    [...new Set(recordings.map(item => item.folder).filter(Boolean))].sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        folderList.appendChild(option);
+    });
+    
+    currentOrganizeSession = { recordingIds, batch };
+    document.getElementById('organize-title').textContent = title;
+    document.getElementById('organize-folder').value = folder;
+    document.getElementById('organize-tags').value = tags;
+    document.getElementById('organize-modal').style.display = 'block';
+}
+
+async function saveOrganizeModal() {
+    const session = currentOrganizeSession;
+    if (!session) return;
+    
+    const folder = document.getElementById('organize-folder').value.trim().slice(0, 60);
+    const tags = parseTagInput(document.getElementById('organize-tags').value);
+    
+    try {
+        for (const id of session.recordingIds) {
+            if (!session.batch) {
+                await stateManager.dbManager.updateRecording(id, { folder, tags });
+                continue;
+            }
+            
+            const recording = await stateManager.dbManager.getRecordingMetadata(id);
+            if (!recording) continue;
+            await stateManager.dbManager.updateRecording(id, {
+                folder: folder || recording.folder || '',
+                tags: parseTagInput([...(recording.tags || []), ...tags].join(','))
+            });
+        }
+        closeOrganizeModal();
+        await loadSavedRecordings();
+        stateManager.showAlert(session.batch ? `Updated ${session.recordingIds.length} recordings` : 'Tags and folder saved');
+    } catch (error) {
+        console.error('Failed to save tags:', error);
+        stateManager.showAlert('Failed to save tags: ' + error.message, 'error');
+    }
+}
+
+function closeOrganizeModal() {
+    currentOrganizeSession = null;
+    document.getElementById('organize-modal').style.display = 'none';
+}
+
+// BULK SELECTION
+// Ids of ticked recordings, plus the visible order so shift-click can select a range
+const librarySelection = {
+    ids: new Set(),
+    visibleIds: [],
+    lastClickedId: null
+};
+let currentConfirmDialog = null;
+let currentIdPatternSession = null;
+
+function getSelectedRecordingIds() {
+    // Keep the on-screen order so numbering and downloads follow what the user sees
+    return librarySelection.visibleIds.filter(id => librarySelection.ids.has(id))
+        .concat([...librarySelection.ids].filter(id => !librarySelection.visibleIds.includes(id)));
+}
+
+function toggleRecordingSelection(recordingId, event) {
+    const checked = event.target.checked;
+    const lastIndex = librarySelection.visibleIds.indexOf(librarySelection.lastClickedId);
+    const index = librarySelection.visibleIds.indexOf(recordingId);
+    
+    if (event.shiftKey && lastIndex !== -1 && index !== -1) {
+        const [start, end] = lastIndex < index ? [lastIndex, index] : [index, lastIndex];
+        librarySelection.visibleIds.slice(start, end + 1).forEach(id => {
+            if (checked) {
+                librarySelection.ids.add(id);
+            } else {
+                librarySelection.ids.delete(id);
+            }
+        });
+    } else if (checked) {
+        librarySelection.ids.add(recordingId);
+    } else {
+        librarySelection.ids.delete(recordingId);
+    }
+    
+    librarySelection.lastClickedId = recordingId;
+    syncSelectionCheckboxes();
+    updateBatchBar();
+}
+
+function selectAllFilteredRecordings() {
+    librarySelection.visibleIds.forEach(id => librarySelection.ids.add(id));
+    syncSelectionCheckboxes();
+    updateBatchBar();
+}
+
+function clearRecordingSelection() {
+    librarySelection.ids.clear();
+    librarySelection.lastClickedId = null;
+    syncSelectionCheckboxes();
+    updateBatchBar();
+}
+
+function syncSelectionCheckboxes() {
+    document.querySelectorAll('.recording-select').forEach(checkbox => {
+        const id = Number(checkbox.dataset.recordingId);
+        checkbox.checked = librarySelection.ids.has(id);
+        checkbox.closest('.recording-item').classList.toggle('selected', checkbox.checked);
+    });
+}
+
+function updateBatchBar() {
+    const bar = document.getElementById('batch-bar');
+    if (!bar) return;
+    
+    const selectedCount = librarySelection.ids.size;
+    const hiddenCount = [...librarySelection.ids].filter(id => !librarySelection.visibleIds.includes(id)).length;
+    document.getElementById('batch-count').textContent = `${selectedCount} selected${hiddenCount ? ` (${hiddenCount} hidden by filters)` : ''}`;
+    bar.querySelectorAll('.batch-action').forEach(button => {
+        button.disabled = selectedCount === 0;
+    });
+    document.getElementById('batch-select-all').textContent = `Select all ${librarySelection.visibleIds.length} shown`;
+}
+
+// Resolves true if the user confirms. Lists what the action will affect so nothing is removed blind.
+function showConfirmDialog({ title, message, items = [], confirmLabel = 'Confirm', danger = false }) {
+    if (currentConfirmDialog) {
+        currentConfirmDialog.resolve(false);
+    }
+    
+    const shownItems = items.slice(0, 50);
+    document.getElementById('confirm-dialog-title').textContent = title;
+    document.getElementById('confirm-dialog-message').textContent = message;
+    
+    const list = document.getElementById('confirm-dialog-list');
+    list.innerHTML = '';
+    shownItems.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = item;
+        list.appendChild(li);
+    });
+    if (items.length > shownItems.length) {
+        const li = document.createElement('li');
+        li.textContent = `...and ${items.length - shownItems.length} more`;
+        list.appendChild(li);
+    }
+    list.style.display = items.length > 0 ? 'block' : 'none';
+    
+    const confirmButton = document.getElementById('confirm-dialog-ok');
+    confirmButton.textContent = confirmLabel;
+    confirmButton.className = danger ? 'btn-danger' : 'btn-primary';
+    document.getElementById('confirm-dialog').style.display = 'block';
+    
+    return new Promise(resolve => {
+        currentConfirmDialog = { resolve };
+    });
+}
+
+function closeConfirmDialog(confirmed) {
+    document.getElementById('confirm-dialog').style.display = 'none';
+    if (currentConfirmDialog) {
+        const { resolve } = currentConfirmDialog;
+        currentConfirmDialog = null;
+        resolve(confirmed);
+    }
+}
+
+async function batchDownloadRecordings() {
+    const ids = getSelectedRecordingIds();
+    const downloadedIds = [];
+    
+    for (const id of ids) {
+        try {
+            const recording = await stateManager.dbManager.getRecordingMetadata(id);
+            const blob = recording ? await stateManager.dbManager.getRecordingBlob(id) : null;
+            if (!blob) continue;
+            downloadRecordingDirectly(blob, recording.filename);
+            downloadedIds.push(id);
+            // Browsers drop downloads fired in the same tick, so space them out
+            await new Promise(resolve => setTimeout(resolve, 300));
+        } catch (error) {
+            console.error(`Download of recording ${id} failed:`, error);
+        }
+    }
+    
+    const downloaded = downloadedIds.length;
+    stateManager.showAlert(downloaded === ids.length ? `Downloading ${downloaded} recordings` : `Downloaded ${downloaded} of ${ids.length} recordings`, downloaded === ids.length ? 'success' : 'error');
+    await markRecordingsExported(downloadedIds, 'downloadedAt');
+}
+
+function batchMergeRecordings() {
+    const ids = getSelectedRecordingIds();
+    if (ids.length < 2) {
+        stateManager.showAlert('Select at least two recordings to merge', 'error');
+        return;
+    }
+    openMergeModal(ids);
+}
+
+async function batchDeleteRecordings() {
+    const ids = getSelectedRecordingIds();
+    const recordings = (await Promise.all(ids.map(id => stateManager.dbManager.getRecordingMetadata(id)))).filter(Boolean);
+    if (recordings.length === 0) return;
+    
+    const confirmed = await showConfirmDialog({
+        title: 'Delete Selected Recordings',
+        message: `${recordings.length} recordings will be moved to the trash:`,
+        items: recordings.map(recording => recording.filename),
+        confirmLabel: `Delete ${recordings.length}`,
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    try {
+        await moveRecordingsToTrash(recordings.map(recording => recording.id));
+    } catch (error) {
+        console.error('Batch delete failed:', error);
+        stateManager.showAlert('Some recordings could not be deleted: ' + error.message, 'error');
+        await loadSavedRecordings();
+    }
+}
+
+// The selection as a library archive (videos, history and notes) for importing in another browser
+async function batchExportRecordings() {
+    await exportRecordingsArchive(getSelectedRecordingIds());
+}
+
+// ID patterns rename the selection in on-screen order: {n} counts up from the start number
+// and {name} is the current name, e.g. "JIRA-{n}" or "{name}_reviewed"
+function renderIdPattern(pattern, n, name) {
+    return preserveUrlForDisplay(pattern.replace(/\{n\}/g, String(n)).replace(/\{name\}/g, name)).trim();
+}
+
+async function openIdPatternModal() {
+    const ids = getSelectedRecordingIds();
+    if (ids.length === 0) return;
+    
+    const recordings = (await Promise.all(ids.map(id => stateManager.dbManager.getRecordingMetadata(id)))).filter(Boolean);
+    currentIdPatternSession = { recordings };
+    document.getElementById('id-pattern-count').textContent = `${recordings.length} selected recordings will be renamed in the order shown.`;
+    updateIdPatternPreview();
+    document.getElementById('id-pattern-modal').style.display = 'block';
+}
+
+function updateIdPatternPreview() {
+    const session = currentIdPatternSession;
+    if (!session) return;
+    
+    const pattern = document.getElementById('id-pattern-input').value;
+    const start = parseInt(document.getElementById('id-pattern-start').value) || 1;
+    const list = document.getElementById('id-pattern-preview');
+    list.innerHTML = '';
+    
+    session.recordings.slice(0, 5).forEach((recording, index) => {
+        const li = document.createElement('li');
+        const name = recording.filename.replace(/\.[^.]+$/, '');
+        li.textContent = `${recording.filename} → ${renderIdPattern(pattern, start + index, name) || name}.${recording.format || 'webm'}`;
+        list.appendChild(li);
+    });
+    if (session.recordings.length > 5) {
+        const li = document.createElement('li');
+        li.textContent = `...and ${session.recordings.length - 5} more`;
+        list.appendChild(li);
+    }
+}
+
+async function applyIdPattern() {
+    const session = currentIdPatternSession;
+    if (!session) return;
+    
+    const pattern = document.getElementById('id-pattern-input').value;
+    if (!pattern.includes('{n}') && session.recordings.length > 1) {
+        stateManager.showAlert('Include {n} in the pattern so each recording gets its own ID', 'error');
+        return;
+    }
+    const start = parseInt(document.getElementById('id-pattern-start').value) || 1;
+    
+    try {
+        // One at a time so each duplicate check sees the names given just before it
+        for (const [index, recording] of session.recordings.entries()) {
+            const name = recording.filename.replace(/\.[^.]+$/, '');
+            const baseId = renderIdPattern(pattern, start + index, name);
+            if (!baseId || baseId === name) continue;
+            
+            const filename = await checkForDuplicateId(baseId, recording.format || 'webm');
+            await stateManager.dbManager.updateRecording(recording.id, { filename });
+        }
+        closeIdPatternModal();
+        await loadSavedRecordings();
+        stateManager.showAlert(`Renamed ${session.recordings.length} recordings`);
+    } catch (error) {
+        console.error('Applying ID pattern failed:', error);
+        stateManager.showAlert('Renaming failed: ' + error.message, 'error');
+    }
+}
+
+function closeIdPatternModal() {
+    currentIdPatternSession = null;
+    document.getElementById('id-pattern-modal').style.display = 'none';
+}
+
+// ZIP ARCHIVES
+// Just enough ZIP to move a library between browsers: entries are stored uncompressed (the videos
+// are already compressed) and there's no ZIP64, so an archive has to stay under 4 GB.
+const ZIP_MAX_OFFSET = 0xFFFFFFFF;
+const ZIP_READ_CHUNK_BYTES = 8 * 1024 * 1024;
+
+let crc32Table = null;
+
+function updateCrc32(crc, bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+// Read in slices so a large video never has to sit in memory as one ArrayBuffer
+async function crc32OfBlob(blob) {
+    let crc = 0xFFFFFFFF;
+    for (let start = 0; start < blob.size; start += ZIP_READ_CHUNK_BYTES) {
+        const chunk = await blob.slice(start, start + ZIP_READ_CHUNK_BYTES).arrayBuffer();
+        crc = updateCrc32(crc, new Uint8Array(chunk));
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// With a writable (e.g. from showSaveFilePicker) everything is written out as it's added;
+// without one the parts are collected and finish() returns them as a Blob.
+class ZipArchiveWriter {
+    constructor(writable = null) {
+        this.writable = writable;
+        this.parts = [];   // headers and file blobs, in archive order
+        this.entries = []; // what the central directory needs for each file
+        this.offset = 0;
+    }
+
+    async emit(...parts) {
+        if (!this.writable) {
+            this.parts.push(...parts);
+            return;
+        }
+        for (const part of parts) {
+            await this.writable.write(part);
+        }
+    }
+
+    // data is a Blob or a string; names are stored as UTF-8
+    async addFile(name, data, { modified = new Date() } = {}) {
+        const blob = typeof data === 'string' ? new Blob([data]) : data;
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = await crc32OfBlob(blob);
+        const stamp = toDosDateTime(isNaN(modified) ? new Date() : modified);
+        
+        if (this.offset + 30 + nameBytes.length + blob.size > ZIP_MAX_OFFSET) {
+            throw new Error('Archive would be larger than 4 GB - export fewer recordings at once');
+        }
+        
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true); // local file header
+        header.setUint16(4, 20, true);         // version needed
+        header.setUint16(6, 0x0800, true);     // UTF-8 names
+        header.setUint16(8, 0, true);          // stored
+        header.setUint16(10, stamp.time, true);
+        header.setUint16(12, stamp.date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, blob.size, true);
+        header.setUint32(22, blob.size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+        
+        this.entries.push({ nameBytes, crc, size: blob.size, offset: this.offset, stamp });
+        await this.emit(header.buffer, nameBytes, blob);
+        this.offset += 30 + nameBytes.length + blob.size;
+    }
+
+    // Resolves with the archive Blob, or null once a streamed archive has been closed
+    async finish() {
+        const directoryStart = this.offset;
+        const directoryParts = [];
+        let directorySize = 0;
+        
+        this.entries.forEach(entry => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true); // central directory header
+            record.setUint16(4, 20, true);         // version made by
+            record.setUint16(6, 20, true);         // version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.stamp.time, true);
+            record.setUint16(14, entry.stamp.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true); // extra, comment, disk and attributes stay 0
+            directoryParts.push(record.buffer, entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        });
+        
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // end of central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryStart, true);
+        await this.emit(...directoryParts, end.buffer);
+        
+        if (this.writable) {
+            await this.writable.close();
+            return null;
+        }
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
+
+// Reads entries straight out of the File with slice(), so importing doesn't load the whole archive
+class ZipArchiveReader {
+    constructor(file) {
+        this.file = file;
+        this.entries = new Map();
+    }
+
+    async open() {
+        // The end record is 22 bytes plus a comment of up to 64 KB
+        const tailStart = Math.max(0, this.file.size - 22 - 0xFFFF);
+        const tail = new DataView(await this.file.slice(tailStart).arrayBuffer());
+        let endOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) throw new Error('Not a ZIP archive');
+        
+        const count = tail.getUint16(endOffset + 10, true);
+        const directorySize = tail.getUint32(endOffset + 12, true);
+        const directoryStart = tail.getUint32(endOffset + 16, true);
+        const directory = new DataView(await this.file.slice(directoryStart, directoryStart + directorySize).arrayBuffer());
+        const decoder = new TextDecoder();
+        
+        let position = 0;
+        for (let i = 0; i < count; i++) {
+            if (directory.getUint32(position, true) !== 0x02014B50) throw new Error('ZIP central directory is damaged');
+            const nameLength = directory.getUint16(position + 28, true);
+            const extraLength = directory.getUint16(position + 30, true);
+            const commentLength = directory.getUint16(position + 32, true);
+            const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+            
+            this.entries.set(name, {
+                name,
+                method: directory.getUint16(position + 10, true),
+                crc: directory.getUint32(position + 16, true),
+                compressedSize: directory.getUint32(position + 20, true),
+                size: directory.getUint32(position + 24, true),
+                offset: directory.getUint32(position + 42, true)
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        return this;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    async getBlob(name, type = '') {
+        const entry = this.entries.get(name);
+        if (!entry) throw new Error(`${name} is missing from the archive`);
+        if (entry.method !== 0) throw new Error(`${name} is compressed - only archives exported from this app can be imported`);
+        
+        // Name and extra lengths in the local header can differ from the central directory's
+        const local = new DataView(await this.file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        if (local.getUint32(0, true) !== 0x04034B50) throw new Error(`${name} is damaged`);
+        const dataStart = entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        
+        const blob = this.file.slice(dataStart, dataStart + entry.compressedSize, type);
+        if (await crc32OfBlob(blob) !== entry.crc) throw new Error(`${name} failed its checksum`);
+        return blob;
+    }
+
+    async getText(name) {
+        return (await this.getBlob(name)).text();
+    }
+}
+
+// Stream the archive into a file the user picks where the browser supports it, so nothing has to be
+// held in memory; elsewhere the Blob only references the stored videos and goes through a normal download.
+// Call straight from a click - the save picker needs the user gesture. Resolves false if cancelled.
+async function writeZipDownload(filename, fill) {
+    let writable = null;
+    if (window.showSaveFilePicker) {
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+            });
+            writable = await handle.createWritable();
+        } catch (error) {
+            if (error.name === 'AbortError') return false;
+            console.warn('Save picker unavailable, building the archive in memory instead:', error);
+        }
+    }
+    
+    const writer = new ZipArchiveWriter(writable);
+    try {
+        await fill(writer);
+        const blob = await writer.finish();
+        if (blob) downloadRecordingDirectly(blob, filename);
+        return true;
+    } catch (error) {
+        if (writable) await writable.abort().catch(() => {});
+        throw error;
+    }
+}
+
+// LIBRARY ARCHIVES
+// An archive holds manifest.json (all metadata, versions and edit history), one file per stored
+// version under recordings/, thumbnails under thumbnails/ and the notepad as notes.txt.
+const LIBRARY_ARCHIVE_TYPE = 'multitab-recorder-library';
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+async function exportRecordingsArchive(ids) {
+    if (ids.length === 0) {
+        stateManager.showAlert('No recordings to export', 'error');
+        return;
+    }
+    
+    try {
+        const manifestRecordings = [];
+        const saved = await writeZipDownload(`recordings-${new Date().toISOString().slice(0, 10)}.zip`, async writer => {
+            stateManager.showAlert(`Packing ${ids.length} recordings...`);
+            
+            // One recording's blobs at a time - they're only referenced by the archive, not copied
+            for (const id of ids) {
+                const recording = await stateManager.dbManager.getRecording(id);
+                if (!recording) continue;
+                
+                const { blob, screenshot, versions, ...metadata } = recording;
+                const files = { versions: {}, thumbnail: null };
+                
+                for (const version of versions) {
+                    if (!version.blob) continue;
+                    const path = `recordings/${recording.id}/${version.id}.${version.format || recording.format || 'webm'}`;
+                    await writer.addFile(path, version.blob, { modified: new Date(version.timestamp || recording.timestamp) });
+                    files.versions[version.id] = path;
+                }
+                
+                if (screenshot) {
+                    const image = await (await fetch(screenshot)).blob();
+                    files.thumbnail = `thumbnails/${recording.id}.${image.type === 'image/png' ? 'png' : 'jpg'}`;
+                    await writer.addFile(files.thumbnail, image);
+                }
+                
+                manifestRecordings.push({
+                    ...metadata,
+                    versions: versions.map(({ blob, ...version }) => version),
+                    files
+                });
+            }
+            
+            await writer.addFile('notes.txt', localStorage.getItem('notepad-content') || '');
+            await writer.addFile('manifest.json', JSON.stringify({
+                type: LIBRARY_ARCHIVE_TYPE,
+                version: 1,
+                exportedAt: new Date().toISOString(),
+                notes: 'notes.txt',
+                recordings: manifestRecordings
+            }, null, 2));
+        });
+        if (!saved) return;
+        
+        stateManager.showAlert(`Exported ${manifestRecordings.length} recordings`);
+        await markRecordingsExported(manifestRecordings.map(recording => recording.id), 'downloadedAt');
+    } catch (error) {
+        console.error('Archive export failed:', error);
+        stateManager.showAlert('Export failed: ' + error.message, 'error');
+    }
+}
+
+async function exportLibraryArchive() {
+    const recordings = await stateManager.dbManager.getAllRecordings();
+    await exportRecordingsArchive(recordings.map(recording => recording.id));
+}
+
+async function importLibraryArchive(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    try {
+        const archive = await new ZipArchiveReader(file).open();
+        const manifest = JSON.parse(await archive.getText('manifest.json'));
+        if (!manifest || manifest.type !== LIBRARY_ARCHIVE_TYPE || !Array.isArray(manifest.recordings)) {
+            throw new Error('This isn\'t a recordings archive');
+        }
+        
+        const incomingSize = manifest.recordings.reduce((total, recording) => total + getRecordingStorageSize(recording), 0);
+        const storageCheck = await checkStorageCapacity(incomingSize);
+        if (!storageCheck.allowed) return;
+        
+        const imported = [];
+        const skipped = [];
+        for (const entry of manifest.recordings) {
+            // Ids are reassigned on save and nothing imported starts out in the trash
+            const { id, files, deletedAt, ...metadata } = entry;
+            try {
+                const versions = [];
+                for (const version of metadata.versions || []) {
+                    const path = files && files.versions[version.id];
+                    if (!path || !archive.has(path)) continue;
+                    versions.push({ ...version, blob: await archive.getBlob(path, getMimeTypeForFormat(version.format)) });
+                }
+                if (versions.length === 0) throw new Error('no video in the archive');
+                
+                const screenshot = files && files.thumbnail && archive.has(files.thumbnail)
+                    ? await blobToDataURL(await archive.getBlob(files.thumbnail))
+                    : null;
+                
+                const record = { ...metadata, versions, screenshot, importedAt: new Date().toISOString() };
+                if (!versions.some(version => version.id === record.activeVersionId)) {
+                    record.activeVersionId = versions[versions.length - 1].id;
+                }
+                const active = getActiveRecordingVersion(record);
+                record.blob = active.blob;
+                record.format = active.format || record.format;
+                
+                // Same Copy-suffix handling as saving and renaming
+                record.filename = await checkForDuplicateId(metadata.filename.replace(/\.[^.]+$/, ''), record.format);
+                await stateManager.dbManager.saveRecording(record);
+                imported.push(record.filename);
+            } catch (error) {
+                console.warn(`Skipped ${metadata.filename} from the archive:`, error);
+                skipped.push(metadata.filename);
+            }
+        }
+        
+        importArchiveNotes(archive.has(manifest.notes) ? await archive.getText(manifest.notes) : '');
+        
+        await loadSavedRecordings();
+        if (typeof updateCompilerTable === 'function') {
+            updateCompilerTable();
+        }
+        stateManager.showAlert(
+            skipped.length === 0
+                ? `Imported ${imported.length} recordings`
+                : `Imported ${imported.length} recordings, skipped ${skipped.length}: ${skipped.join(', ')}`,
+            skipped.length === 0 ? 'success' : 'error'
+        );
+    } catch (error) {
+        console.error('Archive import failed:', error);
+        stateManager.showAlert('Import failed: ' + error.message, 'error');
+    }
+}
+
+// Imported notes go under the existing ones rather than replacing them
+function importArchiveNotes(notes) {
+    if (!notes.trim()) return;
+    
+    const current = localStorage.getItem('notepad-content') || '';
+    if (current.includes(notes)) return;
+    const merged = current.trim()
+        ? `${current}\n\n--- Imported ${new Date().toLocaleString()} ---\n${notes}`
+        : notes;
+    localStorage.setItem('notepad-content', merged);
+    
+    const textarea = document.getElementById('notepad-textarea');
+    if (textarea) {
+        textarea.value = merged;
+        textarea.dispatchEvent(new Event('input'));
+    }
+}
+
+// UPLOAD BATCHES
+// Plain video files plus upload-all.sh with the same ./upload.sh lines as the terminal commands table,
+// so a whole selection can be unpacked next to upload.sh and uploaded in one go
+const UPLOAD_SCRIPT_NAME = 'upload-all.sh';
+
+// Archive path for a recording's file: its own filename, unless that would escape the folder it's unpacked into
+function getUploadArchivePath(recording, usedPaths) {
+    let path = recording.filename;
+    if (path.startsWith('/') || path.split('/').includes('..')) {
+        path = sanitizeForDownload(recording.filename);
+    }
+    
+    const [, base, extension] = path.match(/^(.*?)(\.[^./]+)?$/);
+    for (let i = 2; usedPaths.has(path); i++) {
+        path = `${base}_${i}${extension || ''}`;
+    }
+    usedPaths.add(path);
+    return path;
+}
+
+function buildUploadScript(commands) {
+    return [
+        '#!/bin/sh',
+        `# Generated ${new Date().toLocaleString()} for ${commands.length} recordings.`,
+        '# Put upload.sh in this folder, then run: sh upload-all.sh',
+        'set -e',
+        'cd "$(dirname "$0")"',
+        '',
+        ...commands,
+        ''
+    ].join('\n');
+}
+
+async function downloadRecordingsZip(ids) {
+    if (ids.length === 0) {
+        stateManager.showAlert('No recordings to download', 'error');
+        return;
+    }
+    
+    const timestamp = getSelectedTimestamp();
+    const downloadedIds = [];
+    try {
+        const saved = await writeZipDownload(`upload-batch-${new Date().toISOString().slice(0, 10)}.zip`, async writer => {
+            stateManager.showAlert(`Packing ${ids.length} recordings...`);
+            const usedPaths = new Set([UPLOAD_SCRIPT_NAME]);
+            const commands = [];
+            
+            // Only the active version of each recording, read one at a time
+            for (const id of ids) {
+                const recording = await stateManager.dbManager.getRecordingMetadata(id);
+                const blob = recording ? await stateManager.dbManager.getRecordingBlob(id) : null;
+                if (!blob) continue;
+                
+                const path = getUploadArchivePath(recording, usedPaths);
+                await writer.addFile(path, blob, { modified: new Date(recording.timestamp) });
+                commands.push(buildUploadCommand(recording, timestamp, path));
+                downloadedIds.push(id);
+            }
+            
+            await writer.addFile(UPLOAD_SCRIPT_NAME, buildUploadScript(commands));
+        });
+        if (!saved) return;
+        
+        stateManager.showAlert(downloadedIds.length === ids.length
+            ? `Downloaded ${downloadedIds.length} recordings with ${UPLOAD_SCRIPT_NAME}`
+            : `Downloaded ${downloadedIds.length} of ${ids.length} recordings with ${UPLOAD_SCRIPT_NAME}`,
+            downloadedIds.length === ids.length ? 'success' : 'error');
+        await markRecordingsExported(downloadedIds, 'downloadedAt');
+    } catch (error) {
+        console.error('Batch ZIP download failed:', error);
+        stateManager.showAlert('Download failed: ' + error.message, 'error');
+    }
+}
+
+async function batchDownloadRecordingsZip() {
+    await downloadRecordingsZip(getSelectedRecordingIds());
+}
+
+async function downloadAllRecordingsZip() {
+    const recordings = await stateManager.dbManager.getAllRecordings();
+    await downloadRecordingsZip(recordings.map(recording => recording.id));
+}
+
+// TRASH
+// Deleting only stamps deletedAt; the blobs stay until the retention period runs out, the
+// user empties the trash, or space is needed for a new recording under the storage cap.
+function getTrashExpiry(recording) {
+    return new Date(recording.deletedAt).getTime() + settingsManager.get('trashRetentionDays') * 24 * 60 * 60 * 1000;
+}
+
+async function moveRecordingsToTrash(ids) {
+    const deletedAt = new Date().toISOString();
+    for (const id of ids) {
+        await stateManager.dbManager.updateRecording(id, { deletedAt });
+        librarySelection.ids.delete(id);
+    }
+    
+    await loadSavedRecordings();
+    updateTrashButton();
+    // Update compiler table in real-time
+    if (typeof updateCompilerTable === 'function') {
+        updateCompilerTable();
+    }
+    
+    const message = ids.length === 1 ? 'Recording moved to trash' : `${ids.length} recordings moved to trash`;
+    stateManager.showAlert(message, 'success', {
+        label: 'Undo',
+        onClick: () => restoreRecordingsFromTrash(ids)
+    });
+}
+
+async function restoreRecordingsFromTrash(ids) {
+    try {
+        for (const id of ids) {
+            await stateManager.dbManager.updateRecording(id, { deletedAt: null, trashedByRule: null });
+        }
+        await loadSavedRecordings();
+        await refreshTrashViews();
+        if (typeof updateCompilerTable === 'function') {
+            updateCompilerTable();
+        }
+        stateManager.showAlert(ids.length === 1 ? 'Recording restored' : `${ids.length} recordings restored`);
+    } catch (error) {
+        console.error('Restore failed:', error);
+        stateManager.showAlert('Restore failed: ' + error.message, 'error');
+    }
+}
+
+async function purgeRecordings(ids) {
+    for (const id of ids) {
+        await stateManager.dbManager.deleteRecording(id);
+    }
+}
+
+// Permanently remove trashed recordings whose retention period is over. Runs at startup and
+// then every TRASH_PURGE_INTERVAL. Resolves with how many were removed.
+async function purgeExpiredTrash() {
+    try {
+        const now = Date.now();
+        const expired = (await stateManager.dbManager.getDeletedRecordings()).filter(recording => getTrashExpiry(recording) <= now);
+        if (expired.length > 0) {
+            await purgeRecordings(expired.map(recording => recording.id));
+            await refreshTrashViews();
+        }
+        return expired.length;
+    } catch (error) {
+        console.warn('Trash cleanup failed:', error);
+        return 0;
+    }
+}
+
+// Free at least bytesNeeded by purging trash oldest-deleted first. Resolves with the bytes freed.
+async function purgeTrashForSpace(bytesNeeded) {
+    const trashed = (await stateManager.dbManager.getDeletedRecordings())
+        .sort((a, b) => new Date(a.deletedAt) - new Date(b.deletedAt));
+    let freed = 0;
+    const purged = [];
+    
+    for (const recording of trashed) {
+        if (freed >= bytesNeeded) break;
+        await stateManager.dbManager.deleteRecording(recording.id);
+        freed += recording.storageSize || 0;
+        purged.push(recording.filename);
+    }
+    
+    if (purged.length > 0) {
+        stateManager.showAlert(`Out of space - permanently deleted from the trash: ${purged.join(', ')}`, 'error');
+        await refreshTrashViews();
+    }
+    return freed;
+}
+
+async function updateTrashButton() {
+    const button = document.getElementById('trash-open-btn');
+    if (!button) return;
+    
+    try {
+        const trashed = await stateManager.dbManager.getDeletedRecordings();
+        button.textContent = trashed.length > 0 ? `Trash (${trashed.length})` : 'Trash';
+    } catch (error) {
+        console.warn('Could not count trash:', error);
+    }
+}
+
+async function openTrashModal() {
+    document.getElementById('trash-modal').style.display = 'block';
+    await renderTrashList();
+}
+
+async function refreshTrashViews() {
+    updateTrashButton();
+    if (document.getElementById('trash-modal').style.display === 'block') {
+        await renderTrashList();
+    }
+}
+
+async function renderTrashList() {
+    const list = document.getElementById('trash-list');
+    const trashed = (await stateManager.dbManager.getDeletedRecordings())
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    
+    document.getElementById('trash-empty-btn').disabled = trashed.length === 0;
+    document.getElementById('trash-restore-all-btn').disabled = trashed.length === 0;
+    
+    if (trashed.length === 0) {
+        list.innerHTML = '<p class="trash-empty">The trash is empty.</p>';
+        return;
+    }
+    
+    const totalMB = (trashed.reduce((total, recording) => total + (recording.storageSize || 0), 0) / (1024 * 1024)).toFixed(1);
+    list.innerHTML = `<p class="trash-summary">${trashed.length} recordings • ${totalMB} MB • kept for ${settingsManager.get('trashRetentionDays')} days after deletion</p>`;
+    
+    trashed.forEach(recording => {
+        const daysLeft = Math.max(0, Math.ceil((getTrashExpiry(recording) - Date.now()) / (24 * 60 * 60 * 1000)));
+        const item = document.createElement('div');
+        item.className = 'merge-item trash-item';
+        item.innerHTML = `
+            <div class="trash-details">
+                <div class="merge-name"></div>
+                <div class="merge-details">
+                    ${((recording.storageSize || 0) / (1024 * 1024)).toFixed(1)} MB • deleted ${new Date(recording.deletedAt).toLocaleString()} • ${daysLeft === 0 ? 'purged soon' : `purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`}
+                </div>
+            </div>
+            <button class="rename-btn" onclick="restoreRecordingsFromTrash([${recording.id}])">Restore</button>
+            <button class="download-btn delete-btn" onclick="purgeTrashedRecording(${recording.id})">Delete forever</button>
+        `;
+        item.querySelector('.merge-name').textContent = recording.filename;
+        list.appendChild(item);
+    });
+}
+
+async function purgeTrashedRecording(id) {
+    const recording = await stateManager.dbManager.getRecordingMetadata(id);
+    if (!recording) return;
+    
+    const confirmed = await showConfirmDialog({
+        title: 'Delete Forever',
+        message: 'This recording will be permanently deleted:',
+        items: [recording.filename],
+        confirmLabel: 'Delete Forever',
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    try {
+        await purgeRecordings([id]);
+        await refreshTrashViews();
+        await loadSavedRecordings();
+        stateManager.showAlert('Recording permanently deleted');
+    } catch (error) {
+        console.error('Purge failed:', error);
+        stateManager.showAlert('Delete failed: ' + error.message, 'error');
+    }
+}
+
+async function restoreAllFromTrash() {
+    const trashed = await stateManager.dbManager.getDeletedRecordings();
+    await restoreRecordingsFromTrash(trashed.map(recording => recording.id));
+}
+
+async function emptyTrash() {
+    const trashed = await stateManager.dbManager.getDeletedRecordings();
+    if (trashed.length === 0) return;
+    
+    const confirmed = await showConfirmDialog({
+        title: 'Empty Trash',
+        message: `${trashed.length} recordings will be permanently deleted:`,
+        items: trashed.map(recording => recording.filename),
+        confirmLabel: 'Empty Trash',
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    try {
+        await purgeRecordings(trashed.map(recording => recording.id));
+        await refreshTrashViews();
+        await loadSavedRecordings();
+        stateManager.showAlert('Trash emptied');
+    } catch (error) {
+        console.error('Emptying trash failed:', error);
+        stateManager.showAlert('Emptying trash failed: ' + error.message, 'error');
+    }
+}
+
+function closeTrashModal() {
+    document.getElementById('trash-modal').style.display = 'none';
+}
+
+// RETENTION RULES
+// Rules from settings that move recordings to the trash on their own: an age limit (optionally only for
+// recordings already downloaded or uploaded), a library size limit taken oldest first, and an opt-out
+// for tagged recordings. They run at startup, after every save and when settings change.
+// The size limit counts the trash too, since trashed blobs still take space; it empties the trash first.
+// Recordings the size rule itself trashed are left out of that, so they keep their Undo and retention period.
+function describeRecordingAge(recording) {
+    const days = Math.floor((Date.now() - new Date(recording.timestamp).getTime()) / (24 * 60 * 60 * 1000));
+    return `${days} day${days === 1 ? '' : 's'} old`;
+}
+
+// Returns [{ recording, rule, reason, purge }] without touching anything, so the rules can be checked on their own.
+// purge marks recordings already in the trash that have to be deleted for good.
+function evaluateRetentionRules(recordings, preferences, keepIds = [], trashed = []) {
+    const keep = new Set(keepIds);
+    const isProtected = recording => keep.has(recording.id) ||
+        (preferences.retentionProtectTagged && (recording.tags || []).length > 0);
+    const removals = [];
+    const removedIds = new Set();
+    
+    if (preferences.retentionMaxAgeDays > 0) {
+        const cutoff = Date.now() - preferences.retentionMaxAgeDays * 24 * 60 * 60 * 1000;
+        recordings.forEach(recording => {
+            if (isProtected(recording) || new Date(recording.timestamp).getTime() > cutoff) return;
+            if (preferences.retentionOnlyIfExported && !recording.downloadedAt && !recording.uploadedAt) return;
+            
+            removals.push({
+                recording,
+                rule: 'age',
+                reason: `${describeRecordingAge(recording)}, limit is ${preferences.retentionMaxAgeDays} days`
+            });
+            removedIds.add(recording.id);
+        });
+    }
+    
+    if (preferences.retentionMaxLibraryGB > 0) {
+        const limitBytes = preferences.retentionMaxLibraryGB * 1024 * 1024 * 1024;
+        const remaining = recordings.filter(recording => !removedIds.has(recording.id));
+        const sizeOf = list => list.reduce((sum, recording) => sum + (recording.storageSize || 0), 0);
+        const countedTrash = trashed.filter(recording => recording.trashedByRule !== 'size');
+        let total = sizeOf(remaining) + sizeOf(countedTrash);
+        
+        countedTrash
+            .sort((a, b) => new Date(a.deletedAt) - new Date(b.deletedAt))
+            .forEach(recording => {
+                if (total <= limitBytes) return;
+                total -= recording.storageSize || 0;
+                removals.push({
+                    recording,
+                    rule: 'size',
+                    reason: `library over ${preferences.retentionMaxLibraryGB} GB, emptied from the trash first`,
+                    purge: true
+                });
+            });
+        
+        remaining
+            .filter(recording => !isProtected(recording))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(recording => {
+                if (total <= limitBytes) return;
+                total -= recording.storageSize || 0;
+                removals.push({
+                    recording,
+                    rule: 'size',
+                    reason: `library over ${preferences.retentionMaxLibraryGB} GB, oldest first`
+                });
+            });
+    }
+    
+    return removals;
+}
+
+function loadRetentionLog() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.RETENTION_LOG));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.warn('Retention log is unreadable, starting a new one:', error);
+        return [];
+    }
+}
+
+function appendRetentionLog(entries) {
+    const log = [...entries, ...loadRetentionLog()].slice(0, CONFIG.RETENTION_LOG_LIMIT);
+    try {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.RETENTION_LOG, JSON.stringify(log));
+    } catch (error) {
+        console.error('Failed to save retention log:', error);
+    }
+}
+
+async function applyRetentionRules({ keepIds = [] } = {}) {
+    try {
+        const recordings = await stateManager.dbManager.getAllRecordings();
+        const trashed = await stateManager.dbManager.getDeletedRecordings();
+        const removals = evaluateRetentionRules(recordings, settingsManager.preferences, keepIds, trashed);
+        if (removals.length === 0) return [];
+        
+        const deletedAt = new Date().toISOString();
+        const logEntries = [];
+        for (const { recording, rule, reason, purge } of removals) {
+            if (purge) {
+                await stateManager.dbManager.deleteRecording(recording.id);
+            } else {
+                await stateManager.dbManager.updateRecording(recording.id, { deletedAt, trashedByRule: rule });
+                librarySelection.ids.delete(recording.id);
+            }
+            logEntries.push({ at: deletedAt, recordingId: recording.id, filename: recording.filename, rule, reason, purged: Boolean(purge) });
+        }
+        appendRetentionLog(logEntries);
+        
+        await loadSavedRecordings();
+        updateTrashButton();
+        if (typeof updateCompilerTable === 'function') {
+            updateCompilerTable();
+        }
+        
+        const purged = removals.filter(removal => removal.purge).map(removal => removal.recording.filename);
+        if (purged.length > 0) {
+            stateManager.showAlert(`Retention rules permanently deleted from the trash: ${purged.join(', ')}`, 'error');
+        }
+        
+        const moved = removals.filter(removal => !removal.purge);
+        if (moved.length > 0) {
+            const ids = moved.map(removal => removal.recording.id);
+            const message = moved.length === 1
+                ? `Retention rules moved ${moved[0].recording.filename} to the trash`
+                : `Retention rules moved ${moved.length} recordings to the trash`;
+            stateManager.showAlert(message, 'success', {
+                label: 'Undo',
+                onClick: () => restoreRecordingsFromTrash(ids)
+            });
+        }
+        return removals;
+    } catch (error) {
+        console.error('Applying retention rules failed:', error);
+        return [];
+    }
+}
+
+function renderRetentionLog() {
+    const list = document.getElementById('settings-retention-log');
+    const log = loadRetentionLog();
+    document.getElementById('settings-retention-log-clear').disabled = log.length === 0;
+    
+    list.innerHTML = '';
+    if (log.length === 0) {
+        list.innerHTML = '<li>Nothing has been removed automatically.</li>';
+        return;
+    }
+    
+    log.slice(0, 20).forEach(entry => {
+        const item = document.createElement('li');
+        item.textContent = `${new Date(entry.at).toLocaleString()} - ${entry.filename}${entry.purged ? ' deleted for good' : ''} (${entry.reason})`;
+        list.appendChild(item);
+    });
+}
+
+function clearRetentionLog() {
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.RETENTION_LOG);
+    renderRetentionLog();
+}
+
+// Stamp downloadedAt or uploadedAt, which the "only once downloaded or uploaded" rule looks at
+async function markRecordingsExported(ids, field) {
+    const stamp = new Date().toISOString();
+    for (const id of ids) {
+        try {
+            await stateManager.dbManager.updateRecording(id, { [field]: stamp });
+        } catch (error) {
+            console.warn(`Could not record ${field} for recording ${id}:`, error);
+        }
+    }
+    await loadSavedRecordings();
+}
+
+async function toggleRecordingUploaded(id) {
+    try {
+        const recording = await stateManager.dbManager.getRecordingMetadata(id);
+        if (!recording) return;
+        await stateManager.dbManager.updateRecording(id, { uploadedAt: recording.uploadedAt ? null : new Date().toISOString() });
+        await loadSavedRecordings();
+        updateCompilerTable();
+    } catch (error) {
+        console.error('Updating upload status failed:', error);
+        stateManager.showAlert('Could not update upload status: ' + error.message, 'error');
+    }
+}
+
+async function loadSavedRecordings() {
+    try {
+        const recordings = await stateManager.dbManager.getAllRecordings();
+        const recordingsList = document.getElementById('recordings-list');
+        
+        // Forget selections of recordings that no longer exist
+        const existingIds = new Set(recordings.map(recording => recording.id));
+        [...librarySelection.ids].forEach(id => {
+            if (!existingIds.has(id)) librarySelection.ids.delete(id);
+        });
+        
+        if (recordings.length === 0) {
+            librarySelection.visibleIds = [];
+            updateBatchBar();
+            recordingsList.innerHTML = '<p>No recordings yet. Start recording to see your videos here.</p>';
+            return;
+        }
+        
+        // Thumbnails live in their own store; blobs aren't needed to draw the list at all
+        const thumbnails = await stateManager.dbManager.getThumbnails();
+        
+        const filters = loadLibraryFilters();
+        populateLibraryFilterOptions(recordings, filters);
+        const visibleRecordings = filterAndSortRecordings(recordings, filters);
+        librarySelection.visibleIds = visibleRecordings.map(recording => recording.id);
+        updateBatchBar();
+        
+        // Store current input values and focus state before updating
+        const inputStates = new Map();
+        recordings.forEach(recording => {
+            const existingInput = document.getElementById(`id-input-${recording.id}`);
+            if (existingInput) {
+                inputStates.set(recording.id, {
+                    value: existingInput.value,
+                    focused: document.activeElement === existingInput,
+                    selectionStart: existingInput.selectionStart,
+                    selectionEnd: existingInput.selectionEnd,
+                    hasDuplicateClass: existingInput.classList.contains('duplicate')
+                });
+            }
+        });
+        
+        // App usage against the user's cap, plus what the browser allows the whole site
+        const totalSize = await stateManager.dbManager.getStorageUsage();
         const totalSizeMB = (totalSize / (1024 * 1024)).toFixed(1);
+        const estimate = await getBrowserStorageEstimate();
+        const trashed = await stateManager.dbManager.getDeletedRecordings();
+        const trashSizeMB = (trashed.reduce((total, recording) => total + (recording.storageSize || 0), 0) / (1024 * 1024)).toFixed(1);
+        const quotaInfo = estimate
+            ? `Browser quota: ${(estimate.usage / (1024 * 1024)).toFixed(1)}/${(estimate.quota / (1024 * 1024)).toFixed(0)} MB used by this site${stateManager.storagePersisted ? ' • persistent' : ' • may be cleared when the disk is low'}`
+            : '';
+        
+        recordingsList.innerHTML = `
+            <div style="margin-bottom: 15px; padding: 10px; background: #2a2a2a; border-radius: 4px; border: 1px solid #404040;">
+                <strong>Storage Usage: ${totalSizeMB}/${settingsManager.get('storageLimitMB')} MB (${recordings.length} recordings)</strong>
+                ${visibleRecordings.length !== recordings.length ? `<div class="storage-quota-info">Showing ${visibleRecordings.length} of ${recordings.length} recordings</div>` : ''}
+                ${quotaInfo ? `<div class="storage-quota-info">${quotaInfo}</div>` : ''}
+                ${trashed.length > 0 ? `<div class="storage-quota-info">Includes ${trashSizeMB} MB in the trash (${trashed.length} recordings), freed automatically when space runs out</div>` : ''}
+                ${recordings.length >= 2 ? '<button class="rename-btn merge-open-btn" onclick="openMergeModal()" title="Join several recordings into one video">Merge recordings</button>' : ''}
+            </div>
+        `;
+        
+        if (visibleRecordings.length === 0) {
+            recordingsList.insertAdjacentHTML('beforeend', '<p>No recordings match the current filters.</p>');
+        }
+        
+        visibleRecordings.forEach((recording, index) => {
+            const recordingDiv = document.createElement('div');
+            const isSelected = librarySelection.ids.has(recording.id);
+            recordingDiv.className = `recording-item${isSelected ? ' selected' : ''}`;
+            recordingDiv.setAttribute('data-recording-id', recording.id); // Add this for rename function
+            
+            const sizeInMB = (recording.size / (1024 * 1024)).toFixed(1);
+            const date = new Date(recording.timestamp).toLocaleString();
+            const audioInfo = (recording.audioSources || [])
+                .map(source => source.kind === 'microphone' ? 'Mic' : 'Tab audio')
+                .join(' + ');
+            // Show the real captured size when we know it, since the quality setting is only a request
+            const track = recording.trackSettings;
+            const actualSize = track && track.width && track.height
+                ? ` (${track.width}×${track.height}${track.frameRate ? ` @ ${Math.round(track.frameRate)}fps` : ''})`
+                : '';
+            const profileName = recording.settings && recording.settings.profile ? ` | ${recording.settings.profile.name}` : '';
+            const sourceInfo = `${recording.format?.toUpperCase() || 'WEBM'} | ${recording.quality || '720p'}${actualSize}${profileName}${audioInfo ? ` | ${audioInfo}` : ''}`;
+            
+            // Mini thumbnail (not clickable)
+            let thumbnailHtml = '';
+            const screenshot = thumbnails.get(recording.id);
+            if (screenshot) {
+                thumbnailHtml = `
+                    <img src="${screenshot}" 
+                         alt="Recording thumbnail" 
+                         class="thumbnail-image"
+                         title="Recording preview">
+                `;
+            }
+            
+            // Edited indicator, with the version count once edits are kept as versions
+            const versionCount = (recording.versions || []).length;
+            let editedIndicator = '';
+            if (recording.isEdited) {
+                editedIndicator = versionCount > 1
+                    ? `<span class="edited-indicator" title="${versionCount} versions stored">EDITED · ${versionCount} versions</span>`
+                    : '<span class="edited-indicator">EDITED</span>';
+            }
+            
+            recordingDiv.innerHTML = `
+                <div class="recording-item-content">
+                    <input type="checkbox"
+                           class="recording-select"
+                           data-recording-id="${recording.id}"
+                           ${isSelected ? 'checked' : ''}
+                           onclick="toggleRecordingSelection(${recording.id}, event)"
+                           title="Select (shift-click to select a range)">
+                    ${thumbnailHtml}
+                    <div class="recording-item-info">
+                        <div class="recording-name">
+                            ${recording.filename}
+                            ${editedIndicator}
+                        </div>
+                        <div class="recording-details">
+                            ${sizeInMB} MB • ${formatTime(recording.duration || 0)} • ${date} • ${sourceInfo}
+                        </div>
+                        ${renderRecordingLabels(recording)}
+                    </div>
+                </div>
+                <div class="recording-item-actions">
+                    <div class="id-input-container">
+                        <label for="id-input-${recording.id}">ID:</label>
+                        <input type="text" 
+                               id="id-input-${recording.id}" 
+                               class="recording-id-input" 
+                               placeholder="Enter ID"
+                               value="${inputStates.get(recording.id)?.value || ''}"
+                               onblur="updateRecordingId(${recording.id}, this.value)">
+                    </div>
+                    ${renderVersionControls(recording)}
+                    <button class="crop-btn" onclick="openCropModal(${recording.id})" title="Crop this video">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M7,17V1H5V5H1V7H5V17A2,2 0 0,0 7,19H17V23H19V19H23V17H19V7H7V17M9,9H17V17H9V9Z" />
+                        </svg>
+                        Crop
+                    </button>
+                    <button class="crop-btn" onclick="openTrimModal(${recording.id})" title="Trim the start and end of this video">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M9.64,7.64C9.87,7.14 10,6.59 10,6A4,4 0 0,0 6,2A4,4 0 0,0 2,6A4,4 0 0,0 6,10C6.59,10 7.14,9.87 7.64,9.64L10,12L7.64,14.36C7.14,14.13 6.59,14 6,14A4,4 0 0,0 2,18A4,4 0 0,0 6,22A4,4 0 0,0 10,18C10,17.41 9.87,16.86 9.64,16.36L12,14L19,21H22V20L9.64,7.64M6,8A2,2 0 0,1 4,6A2,2 0 0,1 6,4A2,2 0 0,1 8,6A2,2 0 0,1 6,8M6,20A2,2 0 0,1 4,18A2,2 0 0,1 6,16A2,2 0 0,1 8,18A2,2 0 0,1 6,20M19,3L13,9L15,11L22,4V3H19Z" />
+                        </svg>
+                        Trim
+                    </button>
+                    <button class="crop-btn" onclick="openSplitModal(${recording.id})" title="Split this video into several clips">
+                        Split
+                    </button>
+                    <button class="rename-btn" onclick="renameRecording(${recording.id})" title="Rename this recording">
+                        Rename file
+                    </button>
+                    <button class="rename-btn" onclick="openOrganizeModal(${recording.id})" title="Set tags and a folder for this recording">
+                        Tags
+                    </button>
+                    <button class="download-btn" onclick="downloadRecordingFromDB(${recording.id})">
+                        Download
+                    </button>
+                    <button class="download-btn delete-btn" onclick="deleteRecordingFromDB(${recording.id})">
+                        Delete
+                    </button>
+                </div>
+            `;
+            
+            recordingsList.appendChild(recordingDiv);
+            
+            // Restore input state if it existed
+            const storedState = inputStates.get(recording.id);
+            if (storedState) {
+                const newInput = document.getElementById(`id-input-${recording.id}`);
+                if (newInput) {
+                    // Restore duplicate class if it was present
+                    if (storedState.hasDuplicateClass) {
+                        newInput.classList.add('duplicate');
+                    }
+                    
+                    // Restore focus and selection if it was focused
+                    if (storedState.focused) {
+                        setTimeout(() => {
+                            newInput.focus();
+                            newInput.setSelectionRange(storedState.selectionStart, storedState.selectionEnd);
+                        }, 0);
+                    }
+                }
+            }
+        });
+        
+    } catch (error) {
+            console.error('Failed to load recordings:', error);
+            document.getElementById('recordings-list').innerHTML = '<p>Error loading recordings.</p>';
+        }
+        
+        // Update compiler table when recordings change
+        if (typeof updateCompilerTable === 'function') {
+            updateCompilerTable();
+        }
+    }
+
+async function downloadRecordingFromDB(id) {
+    try {
+        // Only the active version's blob is read, not every stored version
+        const recording = await stateManager.dbManager.getRecordingMetadata(id);
+        const blob = recording ? await stateManager.dbManager.getRecordingBlob(id) : null;
+        
+        if (recording && blob) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            
+            // Sanitize filename only for download, preserve URLs in display
+            const sanitizedFilename = sanitizeForDownload(recording.filename);
+            a.download = sanitizedFilename;
+            
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            stateManager.showAlert('Download started');
+            await markRecordingsExported([id], 'downloadedAt');
+        } else {
+            stateManager.showAlert('Recording not found', 'error');
+        }
+    } catch (error) {
+        console.error('Download failed:', error);
+        stateManager.showAlert('Download failed', 'error');
+    }
+}
+
+async function deleteRecordingFromDB(id) {
+    if (settingsManager.get('confirmBeforeDelete') && !confirm('Move this recording to the trash?')) {
+        return;
+    }
+    
+    try {
+        await moveRecordingsToTrash([id]);
+    } catch (error) {
+        console.error('Delete failed:', error);
+        stateManager.showAlert('Delete failed', 'error');
+    }
+}
+
+async function renameRecording(id) {
+    try {
+        const recording = await stateManager.dbManager.getRecordingMetadata(id);
+        
+        if (!recording) {
+            stateManager.showAlert('Recording not found', 'error');
+            return;
+        }
+        
+        // Find the recording item in the DOM
+        const recordingItem = document.querySelector(`[data-recording-id="${id}"]`);
+        if (!recordingItem) {
+            stateManager.showAlert('Recording element not found', 'error');
+            return;
+        }
+        
+        // Find the filename display element
+        const filenameElement = recordingItem.querySelector('.recording-name');
+        if (!filenameElement) {
+            stateManager.showAlert('Filename element not found', 'error');
+            return;
+        }
+        
+        const currentName = recording.filename.replace(/\.[^/.]+$/, '');
+        const extension = recording.filename.split('.').pop();
+        
+        // Create inline input for editing
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = currentName;
+        input.className = 'inline-rename-input';
+        input.style.cssText = `
+            background: #2a2a2a;
+            color: #ffffff;
+            border: 1px solid #ff6b35;
+            border-radius: 3px;
+            padding: 4px 8px;
+            font-size: 13px;
+            font-family: inherit;
+            width: 200px;
+            outline: none;
+        `;
+        
+        // Replace filename with input
+        filenameElement.style.display = 'none';
+        filenameElement.parentNode.insertBefore(input, filenameElement.nextSibling);
+        input.focus();
+        input.select();
+        
+        // Handle save on Enter or blur
+        const saveRename = async () => {
+            const newName = input.value.trim();
+            
+            if (newName && newName !== currentName) {
+                console.log(`\n[RENAME OPERATION STARTED]`);
+                console.log(`Original name: "${currentName}"`);
+                console.log(`New name input: "${newName}"`);
+                
+                // Store the original name for display - NO SANITIZATION
+                const displayName = newName;
+                console.log(`Display name (unsanitized): "${displayName}"`);
+                
+                // Validate URL preservation in display name
+                validateUrlPreservation(newName, displayName, 'Rename Display');
+                
+                // Create filename with original unsanitized name
+                const newFilename = `${displayName}.${extension}`;
+                console.log(`Final filename: "${newFilename}"`);
+                
+                // Update the recording with the original unsanitized name
+                recording.filename = newFilename;
+                recording.displayName = displayName; // Store original for display
+                recording.originalInput = newName; // Store what user actually typed
+                
+                console.log(`Stored in database:`);
+                console.log(`- filename: "${recording.filename}"`);
+                console.log(`- displayName: "${recording.displayName}"`);
+                console.log(`- originalInput: "${recording.originalInput}"`);
+                
+                // Names are metadata, so the video and thumbnail stay untouched
+                await stateManager.dbManager.updateRecording(id, {
+                    filename: recording.filename,
+                    displayName: recording.displayName,
+                    originalInput: recording.originalInput
+                });
+                
+                // Update the display with original name
+                filenameElement.textContent = newFilename;
+                console.log(`UI updated with: "${newFilename}"`);
+                
+                // Validate final result
+                validateUrlPreservation(newName, newFilename, 'Final Rename Result');
+                
+                // Update compiler table in real-time
+                if (typeof updateCompilerTable === 'function') {
+                    updateCompilerTable();
+                }
+                
+                stateManager.showAlert(`Recording renamed to: ${displayName}`, 'success');
+                console.log(`[RENAME OPERATION COMPLETED SUCCESSFULLY]\n`);
+            }
+            
+            // Restore original display
+            input.remove();
+            filenameElement.style.display = '';
+        };
+        
+        // Save on Enter key
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                saveRename();
+            } else if (e.key === 'Escape') {
+                // Cancel on Escape
+                input.remove();
+                filenameElement.style.display = '';
+            }
+        });
+        
+        // Save on blur (clicking away)
+        input.addEventListener('blur', saveRename);
+        
+    } catch (error) {
+        console.error('Rename failed:', error);
+        stateManager.showAlert('Rename failed', 'error');
+    }
+}
+
+// Recording versions: every edit is stored as a new version linked to the one it was made from.
+// recording.blob/size/duration/editHistory always mirror the active version so the rest of the app
+// (download, compiler, crop) keeps working on whatever the user has selected.
+const ORIGINAL_VERSION_ID = 'original';
+
+// Older records (and anything saved before its first edit) get a single version built from their fields
+function ensureRecordingVersions(recording) {
+    if (Array.isArray(recording.versions) && recording.versions.length > 0) {
+        return recording.versions;
+    }
+    
+    // Recordings edited before versions existed were overwritten in place, so their first version isn't the original
+    const firstVersionId = recording.isEdited ? 'legacy-edit' : ORIGINAL_VERSION_ID;
+    recording.versions = [{
+        id: firstVersionId,
+        label: recording.isEdited ? 'Edited (original not kept)' : 'Original',
+        format: recording.format || 'webm',
+        blob: recording.blob,
+        size: recording.size || (recording.blob ? recording.blob.size : 0),
+        duration: recording.duration || 0,
+        timestamp: recording.timestamp,
+        editHistory: recording.editHistory || [],
+        parentVersionId: null
+    }];
+    recording.activeVersionId = firstVersionId;
+    return recording.versions;
+}
+
+function getActiveRecordingVersion(recording) {
+    const versions = ensureRecordingVersions(recording);
+    return versions.find(version => version.id === recording.activeVersionId) || versions[versions.length - 1];
+}
+
+function hasOriginalVersion(recording) {
+    return (recording.versions || []).some(version => version.id === ORIGINAL_VERSION_ID);
+}
+
+// Bytes held by every stored version, not just the active one
+function getRecordingStorageSize(recording) {
+    if (Array.isArray(recording.versions) && recording.versions.length > 0) {
+        return recording.versions.reduce((total, version) => total + (version.size || 0), 0);
+    }
+    return recording.size || 0;
+}
+
+function setActiveRecordingVersion(recording, versionId) {
+    const version = ensureRecordingVersions(recording).find(v => v.id === versionId);
+    if (!version) {
+        throw new Error('Version not found');
+    }
+    
+    // Versions can end up in different containers, so the extension follows the active one
+    if (version.format && version.format !== recording.format) {
+        recording.format = version.format;
+        recording.filename = recording.filename.replace(/\.[^.]+$/, '') + '.' + version.format;
+    }
+    
+    recording.activeVersionId = version.id;
+    recording.blob = version.blob;
+    recording.size = version.size;
+    recording.duration = version.duration;
+    recording.editHistory = version.editHistory;
+    recording.isEdited = version.editHistory.length > 0;
+    recording.storageSize = getRecordingStorageSize(recording);
+    return version;
+}
+
+// Store an edited blob as a child of the active version and make it active
+function addRecordingVersion(recording, blob, { label, edit, duration, format }) {
+    const parent = getActiveRecordingVersion(recording);
+    const version = {
+        id: `v${Date.now()}`,
+        label: label,
+        format: format || parent.format || recording.format || 'webm',
+        blob: blob,
+        size: blob.size,
+        duration: duration ?? parent.duration,
+        timestamp: new Date().toISOString(),
+        editHistory: [...parent.editHistory, edit],
+        parentVersionId: parent.id
+    };
+    
+    recording.versions.push(version);
+    setActiveRecordingVersion(recording, version.id);
+    return version;
+}
+
+// Drop a version that isn't active; its children take over its parent
+function removeRecordingVersion(recording, versionId) {
+    const removed = recording.versions.find(version => version.id === versionId);
+    if (!removed || recording.activeVersionId === versionId) return;
+    
+    recording.versions = recording.versions.filter(version => version.id !== versionId);
+    recording.versions.forEach(version => {
+        if (version.parentVersionId === versionId) {
+            version.parentVersionId = removed.parentVersionId;
+        }
+    });
+}
+
+// Edits keep the version they started from, so the result needs room of its own under the storage cap.
+// If it doesn't fit, the user can replace the active version with it or take it as a download instead.
+// Resolves 'add', 'replace' or 'download'.
+async function resolveEditStorage(recording, blob, editName) {
+    if ((await checkStorageCapacity(blob.size)).allowed) return 'add';
+    
+    const active = getActiveRecordingVersion(recording);
+    const replace = await showConfirmDialog({
+        title: 'Not Enough Space',
+        message: `There isn't room to keep the ${editName} next to the current version of "${recording.filename}". ` +
+            `Replace the current version with it (this can't be undone), or cancel to download the ${editName} instead.`,
+        confirmLabel: 'Replace current version',
+        danger: true
+    });
+    if (replace && (await checkStorageCapacity(blob.size - (active.size || 0))).allowed) return 'replace';
+    return 'download';
+}
+
+function renderVersionControls(recording) {
+    const versions = recording.versions || [];
+    if (versions.length < 2) return '';
+    
+    const activeId = getActiveRecordingVersion(recording).id;
+    const options = versions.map(version => `
+        <option value="${version.id}" ${version.id === activeId ? 'selected' : ''}>
+            ${version.label} (${(version.size / (1024 * 1024)).toFixed(1)} MB)
+        </option>
+    `).join('');
+    
+    const originalKept = hasOriginalVersion(recording);
+    const revertButton = originalKept && activeId !== ORIGINAL_VERSION_ID
+        ? `<button class="rename-btn" onclick="revertRecordingToOriginal(${recording.id})" title="Switch back to the unedited recording">Revert to original</button>`
+        : '';
+    const discardButton = originalKept
+        ? `<button class="rename-btn" onclick="discardOriginalVersion(${recording.id})" title="Delete the unedited recording to free up space">Discard original</button>`
+        : '';
+    
+    return `
+        <select class="version-select" onchange="switchRecordingVersion(${recording.id}, this.value)" title="Choose which version to use">
+            ${options}
+        </select>
+        ${revertButton}
+        ${discardButton}
+    `;
+}
+
+async function switchRecordingVersion(recordingId, versionId) {
+    try {
+        // Every version's blob is already stored, so only the metadata has to change
+        const recording = await stateManager.dbManager.getRecordingMetadata(recordingId);
+        if (!recording) {
+            stateManager.showAlert('Recording not found', 'error');
+            return;
+        }
+        
+        const version = setActiveRecordingVersion(recording, versionId);
+        
+        await stateManager.dbManager.updateRecording(recording.id, recording);
+        await loadSavedRecordings();
+        
+        stateManager.showAlert(`Now using version: ${version.label}`);
+    } catch (error) {
+        console.error('Version switch failed:', error);
+        stateManager.showAlert('Failed to switch version: ' + error.message, 'error');
+    }
+}
+
+async function revertRecordingToOriginal(recordingId) {
+    await switchRecordingVersion(recordingId, ORIGINAL_VERSION_ID);
+}
+
+async function discardOriginalVersion(recordingId) {
+    try {
+        const recording = await stateManager.dbManager.getRecordingMetadata(recordingId);
+        if (!recording || !recording.versions) {
+            stateManager.showAlert('Recording not found', 'error');
+            return;
+        }
+        
+        const original = recording.versions.find(version => version.id === ORIGINAL_VERSION_ID);
+        if (!original) return;
+        
+        if (!confirm(`Discard the original of "${recording.filename}"? This frees ${(original.size / (1024 * 1024)).toFixed(1)} MB and can't be undone.`)) {
+            return;
+        }
+        
+        recording.versions = recording.versions.filter(version => version.id !== ORIGINAL_VERSION_ID);
+        recording.versions.forEach(version => {
+            if (version.parentVersionId === ORIGINAL_VERSION_ID) {
+                version.parentVersionId = null;
+            }
+        });
+        
+        // If the original was in use, fall back to the newest edit
+        const nextActiveId = recording.activeVersionId === ORIGINAL_VERSION_ID
+            ? recording.versions[recording.versions.length - 1].id
+            : recording.activeVersionId;
+        setActiveRecordingVersion(recording, nextActiveId);
+        
+        // Leaving the original out of the version list drops its blob in the same transaction
+        await stateManager.dbManager.updateRecording(recording.id, recording);
+        await loadSavedRecordings();
+        
+        stateManager.showAlert('Original discarded');
+    } catch (error) {
+        console.error('Discard original failed:', error);
+        stateManager.showAlert('Failed to discard original: ' + error.message, 'error');
+    }
+}
+
+// Simple crop functionality
+let currentCropSession = null;
+
+// Simple Crop Modal Functions
+async function openCropModal(recordingId) {
+    try {
+        const recording = await stateManager.dbManager.getRecording(recordingId);
+        
+        if (!recording || !recording.blob) {
+            stateManager.showAlert('Recording not found', 'error');
+            return;
+        }
+        
+        // Set up video element
+        const video = document.getElementById('crop-video');
+        video.src = URL.createObjectURL(recording.blob);
+        
+        // Store current session
+        currentCropSession = {
+            recordingId: recordingId,
+            recording: recording,
+            videoElement: video,
+            isDragging: false,
+            startX: 0,
+            startY: 0,
+            cropRect: { x: 0, y: 0, width: 200, height: 150 }
+        };
+        
+        // Show modal
+        document.getElementById('crop-modal').style.display = 'block';
+        
+        // Set up drag functionality when video loads
+        video.onloadedmetadata = () => {
+            setupCropDragging();
+            updateCropSelection();
+            updateCropAudioWarning();
+        };
+        
+        stateManager.showAlert('Crop tool loaded. Drag to select crop area or use input fields.');
+        
+    } catch (error) {
+        console.error('Failed to open crop modal:', error);
+        stateManager.showAlert('Failed to open crop tool: ' + error.message, 'error');
+    }
+}
+
+// Set up draggable crop selection
+function setupCropDragging() {
+    const videoContainer = document.querySelector('.crop-video-container');
+    const video = document.getElementById('crop-video');
+    const overlay = document.getElementById('crop-overlay');
+    const selection = document.getElementById('crop-selection');
+    
+    if (!videoContainer || !video || !overlay || !selection) return;
+    
+    // Initialize crop selection in center of video with 16:9 aspect ratio
+    const videoRect = video.getBoundingClientRect();
+    const containerRect = videoContainer.getBoundingClientRect();
+    
+    // Calculate 16:9 crop area that fits within the video
+    const aspectRatio = 16 / 9;
+    let cropWidth = videoRect.width * 0.6;
+    let cropHeight = cropWidth / aspectRatio;
+    
+    // If height is too large, adjust based on height
+    if (cropHeight > videoRect.height * 0.6) {
+        cropHeight = videoRect.height * 0.6;
+        cropWidth = cropHeight * aspectRatio;
+    }
+    
+    currentCropSession.cropRect = {
+        x: (videoRect.width - cropWidth) / 2,
+        y: (videoRect.height - cropHeight) / 2,
+        width: cropWidth,
+        height: cropHeight
+    };
+    
+    updateCropSelection();
+    
+    // Mouse events for dragging
+    overlay.addEventListener('mousedown', startDrag);
+    document.addEventListener('mousemove', drag);
+    document.addEventListener('mouseup', endDrag);
+    
+    // Touch events for mobile
+    overlay.addEventListener('touchstart', startDrag);
+    document.addEventListener('touchmove', drag);
+    document.addEventListener('touchend', endDrag);
+}
+
+function startDrag(e) {
+    if (!currentCropSession) return;
+    
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+    
+    // Store initial mouse position for drag threshold
+    currentCropSession.initialMouseX = clientX;
+    currentCropSession.initialMouseY = clientY;
+    currentCropSession.dragStarted = false;
+    currentCropSession.isDragging = true;
+    currentCropSession.startX = clientX - rect.left;
+    currentCropSession.startY = clientY - rect.top;
+    
+    // Add visual feedback for drag start
+    const overlay = document.getElementById('crop-overlay');
+    overlay.style.cursor = 'crosshair';
+    
+    // Start new selection
+    currentCropSession.cropRect = {
+        x: currentCropSession.startX,
+        y: currentCropSession.startY,
+        width: 0,
+        height: 0
+    };
+    
+    updateCropSelection();
+}
+
+function drag(e) {
+    if (!currentCropSession || !currentCropSession.isDragging) return;
+    
+    e.preventDefault();
+    const overlay = document.getElementById('crop-overlay');
+    const rect = overlay.getBoundingClientRect();
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+    
+    const currentX = clientX - rect.left;
+    const currentY = clientY - rect.top;
+    
+    // Calculate raw dimensions first
+    let rawWidth = Math.abs(currentX - currentCropSession.startX);
+    let rawHeight = Math.abs(currentY - currentCropSession.startY);
+    
+    // Apply 16:9 aspect ratio constraint
+    const aspectRatio = 16 / 9;
+    let finalWidth, finalHeight;
+    
+    // Determine which dimension to constrain based on aspect ratio
+    if (rawWidth / rawHeight > aspectRatio) {
+        // Width is too large, constrain by height
+        finalHeight = rawHeight;
+        finalWidth = finalHeight * aspectRatio;
+    } else {
+        // Height is too large, constrain by width
+        finalWidth = rawWidth;
+        finalHeight = finalWidth / aspectRatio;
+    }
+    
+    // Calculate position based on drag direction
+    let finalX, finalY;
+    
+    if (currentX >= currentCropSession.startX) {
+        // Dragging right
+        finalX = currentCropSession.startX;
+    } else {
+        // Dragging left
+        finalX = currentCropSession.startX - finalWidth;
+    }
+    
+    if (currentY >= currentCropSession.startY) {
+        // Dragging down
+        finalY = currentCropSession.startY;
+    } else {
+        // Dragging up
+        finalY = currentCropSession.startY - finalHeight;
+    }
+    
+    // Ensure the crop area stays within bounds
+    finalX = Math.max(0, Math.min(finalX, rect.width - finalWidth));
+    finalY = Math.max(0, Math.min(finalY, rect.height - finalHeight));
+    
+    // If we hit a boundary, recalculate dimensions to fit
+    const availableWidth = rect.width - finalX;
+    const availableHeight = rect.height - finalY;
+    
+    if (finalWidth > availableWidth) {
+        finalWidth = availableWidth;
+        finalHeight = finalWidth / aspectRatio;
+    }
+    if (finalHeight > availableHeight) {
+        finalHeight = availableHeight;
+        finalWidth = finalHeight * aspectRatio;
+    }
+    
+    currentCropSession.cropRect = {
+        x: finalX,
+        y: finalY,
+        width: finalWidth,
+        height: finalHeight
+    };
+    
+    updateCropSelection();
+}
+
+function endDrag(e) {
+    if (!currentCropSession) return;
+    
+    currentCropSession.isDragging = false;
+    currentCropSession.dragStarted = false;
+    
+    // Reset cursor to default
+    const overlay = document.getElementById('crop-overlay');
+    overlay.style.cursor = 'default';
+    
+    // Only apply minimum size if a drag actually occurred
+    if (currentCropSession.cropRect.width > 0 && currentCropSession.cropRect.height > 0) {
+        // Ensure minimum size while maintaining 16:9 aspect ratio
+        const aspectRatio = 16 / 9;
+        const minWidth = 80;  // Minimum width for 16:9 ratio
+        const minHeight = minWidth / aspectRatio;
+        
+        if (currentCropSession.cropRect.width < minWidth) {
+            currentCropSession.cropRect.width = minWidth;
+            currentCropSession.cropRect.height = minHeight;
+        }
+        if (currentCropSession.cropRect.height < minHeight) {
+            currentCropSession.cropRect.height = minHeight;
+            currentCropSession.cropRect.width = minWidth;
+        }
+        
+        // Final boundary check to ensure crop area is within video bounds
+        const video = document.getElementById('crop-video');
+        const videoRect = video.getBoundingClientRect();
+        const overlayRect = overlay.getBoundingClientRect();
+        
+        // Adjust position if crop area extends beyond video bounds
+        const maxX = overlayRect.width - currentCropSession.cropRect.width;
+        const maxY = overlayRect.height - currentCropSession.cropRect.height;
+        
+        currentCropSession.cropRect.x = Math.max(0, Math.min(currentCropSession.cropRect.x, maxX));
+        currentCropSession.cropRect.y = Math.max(0, Math.min(currentCropSession.cropRect.y, maxY));
+        
+        updateCropSelection();
+        
+        // Provide haptic feedback on supported devices
+        if (navigator.vibrate) {
+            navigator.vibrate(50); // Short vibration for feedback
+        }
+    }
+}
+
+function updateCropSelection() {
+    if (!currentCropSession) return;
+    
+    const selection = document.getElementById('crop-selection');
+    if (!selection) return;
+    
+    const { x, y, width, height } = currentCropSession.cropRect;
+    
+    selection.style.left = x + 'px';
+    selection.style.top = y + 'px';
+    selection.style.width = width + 'px';
+    selection.style.height = height + 'px';
+    selection.style.display = 'block';
+}
+
+// Input field functions removed - now using drag-only interface
+
+function closeCropModal() {
+    // Closing mid-crop cancels the job so its recorder, decoder and object URLs are released
+    if (currentCropSession && currentCropSession.job) {
+        currentCropSession.job.cancel();
+    }
+    if (currentCropSession && currentCropSession.videoElement) {
+        URL.revokeObjectURL(currentCropSession.videoElement.src);
+        currentCropSession.videoElement.src = '';
+        currentCropSession = null;
+    }
+    document.getElementById('crop-modal').style.display = 'none';
+    
+    const audioWarning = document.getElementById('crop-audio-warning');
+    if (audioWarning) {
+        audioWarning.style.display = 'none';
+    }
+}
+
+async function applyCrop() {
+    if (!currentCropSession) return;
+    
+    try {
+        const { recording, videoElement } = currentCropSession;
+        
+        // Calculate crop values from drag selection
+        const video = document.getElementById('crop-video');
+        const videoRect = video.getBoundingClientRect();
+        const { x, y, width, height } = currentCropSession.cropRect;
+        
+        // Convert from display coordinates to video coordinates
+        const scaleX = video.videoWidth / videoRect.width;
+        const scaleY = video.videoHeight / videoRect.height;
+        
+        const left = Math.round(x * scaleX);
+        const top = Math.round(y * scaleY);
+        const right = Math.round((videoRect.width - (x + width)) * scaleX);
+        const bottom = Math.round((videoRect.height - (y + height)) * scaleY);
+        
+        // Validate crop values
+        if (left < 0 || right < 0 || top < 0 || bottom < 0) {
+            stateManager.showAlert('Crop values cannot be negative', 'error');
+            return;
+        }
+        
+        if (currentCropSession.job) return; // already cropping
+        
+        // Show applying message
+        stateManager.showAlert('Applying crop...', 'success');
+        
+        // Add progress indicator above the instruction text
+        const progress = showEditProgress(document.querySelector('#crop-modal .crop-instructions'), 'Cropping Video', 'cancelCropJob()');
+        const applyButton = document.getElementById('crop-apply-btn');
+        if (applyButton) applyButton.disabled = true;
+        
+        const job = new CropJob({ onProgress: progress.update });
+        const cropSession = currentCropSession;
+        cropSession.job = job;
+        
+        let croppedBlob;
+        try {
+            croppedBlob = await processCrop(recording.blob, { left, right, top, bottom }, {
+                keepAudio: recordingHasAudio(recording, video) !== false,
+                format: recording.format || 'webm',
+                durationHint: recording.duration,
+                job
+            });
+        } finally {
+            cropSession.job = null;
+            if (applyButton) applyButton.disabled = false;
+            progress.remove();
+        }
+        
+        // Edits come out as WebM; convert back to the recording's format
+        const finalized = await finalizeRecordingBlob([croppedBlob], { format: recording.format || 'webm', mimeType: croppedBlob.type });
+        if (finalized.warning) {
+            stateManager.showAlert(finalized.warning, 'error');
+        }
+        
+        // Keep the source and store the crop as a new version on top of it, space permitting
+        ensureRecordingVersions(recording);
+        const storageChoice = await resolveEditStorage(recording, finalized.blob, 'cropped video');
+        if (storageChoice === 'download') {
+            downloadRecordingDirectly(finalized.blob, `${recording.filename.replace(/\.[^.]+$/, '')}_cropped.${finalized.format}`);
+            closeCropModal();
+            return;
+        }
+        
+        const sourceVersionId = recording.activeVersionId;
+        const cropNumber = recording.versions.filter(version => version.editHistory.some(edit => edit.type === 'crop')).length + 1;
+        addRecordingVersion(recording, finalized.blob, {
+            label: `Crop ${cropNumber}`,
+            format: finalized.format,
+            edit: {
+                type: 'crop',
+                timestamp: new Date().toISOString(),
+                params: { left, right, top, bottom }
+            }
+        });
+        if (storageChoice === 'replace') {
+            removeRecordingVersion(recording, sourceVersionId);
+        }
+        
+        // Only the new version's blob is written; the rest of the record is updated in place
+        await stateManager.dbManager.updateRecording(recording.id, recording);
+        
+        // Refresh UI
+        await loadSavedRecordings();
+        closeCropModal();
+        
+        stateManager.showAlert(storageChoice === 'replace'
+            ? 'Video edited successfully! It replaced the previous version to stay within the storage limit.'
+            : 'Video edited successfully! The original is kept as a separate version.');
+        
+    } catch (error) {
+        if (error instanceof CropCancelledError) {
+            stateManager.showAlert('Crop cancelled - the original recording was not changed');
+            return;
+        }
+        console.error('Crop processing failed:', error);
+        stateManager.showAlert('Crop processing failed: ' + error.message, 'error');
+    }
+}
+
+// Progress box shown above a modal's instructions while an edit job runs
+function showEditProgress(container, title, cancelAction) {
+    const progressDiv = document.createElement('div');
+    progressDiv.className = 'edit-progress';
+    progressDiv.style.cssText = `
+        background: rgba(26, 26, 26, 0.95);
+        color: white;
+        padding: 15px 20px;
+        border-radius: 6px;
+        text-align: center;
+        font-size: 14px;
+        font-weight: 400;
+        margin-bottom: 15px;
+        border: 1px solid #404040;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+    `;
+    
+    // Insert the progress div before the instruction text
+    container.insertBefore(progressDiv, container.firstChild);
+    
+    progressDiv.innerHTML = `
+        <div style="display: flex; align-items: center; justify-content: center; gap: 10px; margin-bottom: 12px;">
+            <div class="loading-spinner" style="width: 16px; height: 16px; border: 2px solid #404040; border-top: 2px solid #ff6b35; border-radius: 50%; animation: spin 1s linear infinite;"></div>
+            <span style="font-size: 16px; font-weight: 500;">${title}</span>
+        </div>
+        <div style="background: #333; border-radius: 6px; height: 6px; margin-bottom: 8px; overflow: hidden;">
+            <div class="edit-progress-bar" style="background: linear-gradient(90deg, #ff6b35, #f7931e); height: 100%; width: 0%; transition: width 0.5s ease; border-radius: 6px;"></div>
+        </div>
+        <div class="edit-progress-text" style="font-size: 12px; color: #ccc;">0% · estimating time left...</div>
+        <button class="btn-secondary crop-cancel-btn" onclick="${cancelAction}">Cancel</button>
+    `;
+    
+    // Add spinner animation CSS
+    if (!document.getElementById('spinner-style')) {
+        const style = document.createElement('style');
+        style.id = 'spinner-style';
+        style.textContent = `
+            @keyframes spin {
+                0% { transform: rotate(0deg); }
+                100% { transform: rotate(360deg); }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+    
+    const progressBar = progressDiv.querySelector('.edit-progress-bar');
+    const progressText = progressDiv.querySelector('.edit-progress-text');
+    
+    return {
+        update(job) {
+            const percent = Math.round(job.progress * 100);
+            const eta = job.getEtaSeconds();
+            progressBar.style.width = percent + '%';
+            progressText.textContent = eta === null
+                ? `${percent}% · estimating time left...`
+                : `${percent}% · about ${formatTime(eta)} left`;
+        },
+        remove() {
+            if (progressDiv.parentNode) {
+                progressDiv.parentNode.removeChild(progressDiv);
+            }
+        }
+    };
+}
+
+function cancelCropJob() {
+    if (currentCropSession && currentCropSession.job) {
+        currentCropSession.job.cancel();
+    }
+}
+
+class CropCancelledError extends Error {
+    constructor() {
+        super('Crop cancelled');
+        this.name = 'CropCancelledError';
+    }
+}
+
+// One crop run: real progress (0-1) reported by the pipeline, an ETA, and cancellation
+class CropJob {
+    constructor({ onProgress = null } = {}) {
+        this.onProgress = onProgress;
+        this.progress = 0;
+        this.startedAt = Date.now();
+        this.cancelled = false;
+        this.cancelHandlers = [];
+    }
+
+    reportProgress(fraction) {
+        if (this.cancelled || !Number.isFinite(fraction)) return;
+        this.progress = Math.max(this.progress, Math.min(1, fraction));
+        if (this.onProgress) {
+            this.onProgress(this);
+        }
+    }
+
+    // Seconds left, extrapolated from the rate so far; null until there's enough to go on
+    getEtaSeconds() {
+        const elapsed = (Date.now() - this.startedAt) / 1000;
+        if (this.progress < 0.02 || elapsed < 2) return null;
+        return Math.max(0, Math.round(elapsed * (1 - this.progress) / this.progress));
+    }
+
+    // Pipelines register their cleanup here; runs immediately if already cancelled
+    onCancel(handler) {
+        if (this.cancelled) {
+            handler();
+        } else {
+            this.cancelHandlers.push(handler);
+        }
+    }
+
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        this.cancelHandlers.forEach(handler => {
+            try {
+                handler();
+            } catch (error) {
+                console.warn('Crop cancel handler failed:', error);
+            }
+        });
+        this.cancelHandlers = [];
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new CropCancelledError();
+        }
+    }
+
+    // View of this job for one step of a multi-part edit, e.g. each clip of a split
+    forStep(index, count) {
+        const job = this;
+        return {
+            get cancelled() { return job.cancelled; },
+            reportProgress: (fraction) => job.reportProgress((index + Math.min(1, fraction)) / count),
+            onCancel: (handler) => job.onCancel(handler),
+            throwIfCancelled: () => job.throwIfCancelled()
+        };
+    }
+}
+
+// TRIM EDITOR
+let currentTrimSession = null;
+
+const TRIM_FILMSTRIP_FRAMES = 8;
+const TRIM_MIN_LENGTH = 0.5; // seconds
+
+// MediaRecorder WebMs often report Infinity until the browser has scanned to the end
+function resolveVideoDuration(video, fallback = 0) {
+    if (Number.isFinite(video.duration) && video.duration > 0) {
+        return Promise.resolve(video.duration);
+    }
+    
+    return new Promise(resolve => {
+        let resolved = false;
+        const done = () => {
+            if (resolved) return;
+            resolved = true;
+            clearTimeout(timeoutId);
+            video.removeEventListener('durationchange', onDurationChange);
+            video.currentTime = 0;
+            resolve(Number.isFinite(video.duration) && video.duration > 0 ? video.duration : fallback);
+        };
+        const onDurationChange = () => {
+            if (Number.isFinite(video.duration)) done();
+        };
+        const timeoutId = setTimeout(done, 3000);
+        
+        video.addEventListener('durationchange', onDurationChange);
+        video.currentTime = 1e101; // forces the browser to work out the real duration
+    });
+}
+
+async function openTrimModal(recordingId) {
+    try {
+        const recording = await stateManager.dbManager.getRecording(recordingId);
+        
+        if (!recording || !recording.blob) {
+            stateManager.showAlert('Recording not found', 'error');
+            return;
+        }
+        
+        const video = document.getElementById('trim-video');
+        video.src = URL.createObjectURL(recording.blob);
+        
+        currentTrimSession = {
+            recordingId: recordingId,
+            recording: recording,
+            videoElement: video,
+            duration: 0,
+            inPoint: 0,
+            outPoint: 0,
+            dragging: null, // 'in' | 'out' | 'playhead'
+            previewing: false,
+            job: null
+        };
+        
+        document.getElementById('trim-filmstrip').innerHTML = '';
+        document.getElementById('trim-modal').style.display = 'block';
+        
+        video.onloadedmetadata = async () => {
+            const session = currentTrimSession;
+            const duration = await resolveVideoDuration(video, recording.duration || 0);
+            if (currentTrimSession !== session) return;
+            
+            session.duration = duration;
+            session.outPoint = duration;
+            setupTrimTimeline();
+            updateTrimTimeline();
+            renderEditorFilmstrip('trim-filmstrip', session.recording.blob, duration, () => currentTrimSession === session);
+        };
+        video.ontimeupdate = () => {
+            if (!currentTrimSession) return;
+            // Preview stops at the out point
+            if (currentTrimSession.previewing && video.currentTime >= currentTrimSession.outPoint) {
+                video.pause();
+                currentTrimSession.previewing = false;
+            }
+            updateTrimTimeline();
+        };
+        
+    } catch (error) {
+        console.error('Failed to open trim modal:', error);
+        stateManager.showAlert('Failed to open trim tool: ' + error.message, 'error');
+    }
+}
+
+// Evenly spaced frames under an editor timeline; isStillOpen guards against the modal closing meanwhile
+async function renderEditorFilmstrip(filmstripId, blob, duration, isStillOpen) {
+    const filmstrip = document.getElementById(filmstripId);
+    if (!filmstrip || !duration) return;
+    
+    const step = duration / TRIM_FILMSTRIP_FRAMES;
+    const times = Array.from({ length: TRIM_FILMSTRIP_FRAMES }, (_, i) => step * (i + 0.5));
+    
+    try {
+        const frames = await thumbnailEngine.captureFramesFromBlob(blob, times, { width: 160, height: 90 });
+        if (!isStillOpen()) return;
+        
+        filmstrip.innerHTML = frames.map(frame => `<img src="${frame}" alt="" draggable="false">`).join('');
+    } catch (error) {
+        console.warn('Could not build editor filmstrip:', error);
+    }
+}
+
+function setupTrimTimeline() {
+    const timeline = document.getElementById('trim-timeline');
+    if (!timeline || timeline.dataset.ready) return;
+    timeline.dataset.ready = 'true';
+    
+    const timeFromPointer = (event) => {
+        const rect = timeline.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        return fraction * currentTrimSession.duration;
+    };
+    
+    timeline.addEventListener('pointerdown', (event) => {
+        if (!currentTrimSession || !currentTrimSession.duration || currentTrimSession.job) return;
+        
+        const handle = event.target.closest('.trim-handle');
+        currentTrimSession.dragging = handle ? handle.dataset.handle : 'playhead';
+        timeline.setPointerCapture(event.pointerId);
+        moveTrimPoint(currentTrimSession.dragging, timeFromPointer(event));
+        event.preventDefault();
+    });
+    
+    timeline.addEventListener('pointermove', (event) => {
+        if (!currentTrimSession || !currentTrimSession.dragging) return;
+        moveTrimPoint(currentTrimSession.dragging, timeFromPointer(event));
+    });
+    
+    const endDrag = () => {
+        if (currentTrimSession) {
+            currentTrimSession.dragging = null;
+        }
+    };
+    timeline.addEventListener('pointerup', endDrag);
+    timeline.addEventListener('pointercancel', endDrag);
+}
+
+function moveTrimPoint(which, time) {
+    const session = currentTrimSession;
+    const video = session.videoElement;
+    
+    if (which === 'in') {
+        session.inPoint = Math.max(0, Math.min(time, session.outPoint - TRIM_MIN_LENGTH));
+        video.currentTime = session.inPoint;
+    } else if (which === 'out') {
+        session.outPoint = Math.min(session.duration, Math.max(time, session.inPoint + TRIM_MIN_LENGTH));
+        video.currentTime = session.outPoint;
+    } else {
+        video.currentTime = time;
+    }
+    updateTrimTimeline();
+}
+
+function setTrimPointFromPlayhead(which) {
+    if (!currentTrimSession || !currentTrimSession.duration) return;
+    moveTrimPoint(which, currentTrimSession.videoElement.currentTime);
+}
+
+function previewTrim() {
+    if (!currentTrimSession || !currentTrimSession.duration) return;
+    
+    const video = currentTrimSession.videoElement;
+    video.currentTime = currentTrimSession.inPoint;
+    currentTrimSession.previewing = true;
+    video.play().catch(error => {
+        currentTrimSession.previewing = false;
+        console.warn('Trim preview failed:', error);
+    });
+}
+
+function updateTrimTimeline() {
+    const session = currentTrimSession;
+    if (!session || !session.duration) return;
+    
+    const percent = (time) => (time / session.duration) * 100 + '%';
+    const range = document.getElementById('trim-range');
+    range.style.left = percent(session.inPoint);
+    range.style.width = percent(session.outPoint - session.inPoint);
+    document.getElementById('trim-handle-in').style.left = percent(session.inPoint);
+    document.getElementById('trim-handle-out').style.left = percent(session.outPoint);
+    document.getElementById('trim-playhead').style.left = percent(Math.min(session.videoElement.currentTime, session.duration));
+    
+    document.getElementById('trim-in-label').textContent = formatTime(session.inPoint);
+    document.getElementById('trim-out-label').textContent = formatTime(session.outPoint);
+    document.getElementById('trim-length-label').textContent = formatTime(session.outPoint - session.inPoint);
+}
+
+function closeTrimModal() {
+    if (currentTrimSession) {
+        if (currentTrimSession.job) {
+            currentTrimSession.job.cancel();
+        }
+        const video = currentTrimSession.videoElement;
+        video.pause();
+        video.onloadedmetadata = null;
+        video.ontimeupdate = null;
+        URL.revokeObjectURL(video.src);
+        video.removeAttribute('src');
+        currentTrimSession = null;
+    }
+    document.getElementById('trim-filmstrip').innerHTML = '';
+    document.getElementById('trim-modal').style.display = 'none';
+}
+
+function cancelTrimJob() {
+    if (currentTrimSession && currentTrimSession.job) {
+        currentTrimSession.job.cancel();
+    }
+}
+
+async function applyTrim() {
+    const session = currentTrimSession;
+    if (!session || !session.duration || session.job) return;
+    
+    const { recording, inPoint, outPoint } = session;
+    const start = Math.round(inPoint * 1000) / 1000;
+    const end = Math.round(outPoint * 1000) / 1000;
+    
+    if (start <= 0 && end >= session.duration) {
+        stateManager.showAlert('Move the in or out point to trim the video', 'error');
+        return;
+    }
+    
+    session.videoElement.pause();
+    session.previewing = false;
+    stateManager.showAlert('Applying trim...', 'success');
+    
+    const progress = showEditProgress(document.querySelector('#trim-modal .crop-instructions'), 'Trimming Video', 'cancelTrimJob()');
+    const applyButton = document.getElementById('trim-apply-btn');
+    if (applyButton) applyButton.disabled = true;
+    
+    const job = new CropJob({ onProgress: progress.update });
+    session.job = job;
+    
+    try {
+        let trimmedBlob;
+        try {
+            trimmedBlob = await processCrop(recording.blob, { left: 0, right: 0, top: 0, bottom: 0 }, {
+                keepAudio: recordingHasAudio(recording, session.videoElement) !== false,
+                format: recording.format || 'webm',
+                durationHint: session.duration,
+                range: { start, end },
+                job
+            });
+        } finally {
+            session.job = null;
+            if (applyButton) applyButton.disabled = false;
+            progress.remove();
+        }
+        
+        const finalized = await finalizeRecordingBlob([trimmedBlob], { format: recording.format || 'webm', mimeType: trimmedBlob.type });
+        if (finalized.warning) {
+            stateManager.showAlert(finalized.warning, 'error');
+        }
+        
+        ensureRecordingVersions(recording);
+        const storageChoice = await resolveEditStorage(recording, finalized.blob, 'trimmed video');
+        if (storageChoice === 'download') {
+            downloadRecordingDirectly(finalized.blob, `${recording.filename.replace(/\.[^.]+$/, '')}_trimmed.${finalized.format}`);
+            closeTrimModal();
+            return;
+        }
+        
+        const sourceVersionId = recording.activeVersionId;
+        const trimNumber = recording.versions.filter(version => version.editHistory.some(edit => edit.type === 'trim')).length + 1;
+        addRecordingVersion(recording, finalized.blob, {
+            label: `Trim ${trimNumber}`,
+            format: finalized.format,
+            duration: end - start,
+            edit: {
+                type: 'trim',
+                timestamp: new Date().toISOString(),
+                params: { start, end }
+            }
+        });
+        if (storageChoice === 'replace') {
+            removeRecordingVersion(recording, sourceVersionId);
+        }
+        
+        await stateManager.dbManager.updateRecording(recording.id, recording);
+        
+        await loadSavedRecordings();
+        closeTrimModal();
+        
+        stateManager.showAlert(storageChoice === 'replace'
+            ? `Video trimmed to ${formatTime(end - start)}. It replaced the untrimmed version to stay within the storage limit.`
+            : `Video trimmed to ${formatTime(end - start)}. The untrimmed video is kept as a separate version.`);
+        
+    } catch (error) {
+        if (error instanceof CropCancelledError) {
+            stateManager.showAlert('Trim cancelled - the original recording was not changed');
+            return;
+        }
+        console.error('Trim processing failed:', error);
+        stateManager.showAlert('Trim processing failed: ' + error.message, 'error');
+    }
+}
+
+// SPLIT TOOL
+let currentSplitSession = null;
+
+async function openSplitModal(recordingId) {
+    try {
+        const recording = await stateManager.dbManager.getRecording(recordingId);
+        
+        if (!recording || !recording.blob) {
+            stateManager.showAlert('Recording not found', 'error');
+            return;
+        }
+        
+        const video = document.getElementById('split-video');
+        video.src = URL.createObjectURL(recording.blob);
+        
+        currentSplitSession = {
+            recordingId: recordingId,
+            recording: recording,
+            videoElement: video,
+            duration: 0,
+            cutPoints: [], // seconds, kept sorted
+            scrubbing: false,
+            job: null
+        };
+        
+        document.getElementById('split-filmstrip').innerHTML = '';
+        document.getElementById('split-modal').style.display = 'block';
+        
+        video.onloadedmetadata = async () => {
+            const session = currentSplitSession;
+            const duration = await resolveVideoDuration(video, recording.duration || 0);
+            if (currentSplitSession !== session) return;
+            
+            session.duration = duration;
+            setupSplitTimeline();
+            updateSplitTimeline();
+            renderEditorFilmstrip('split-filmstrip', session.recording.blob, duration, () => currentSplitSession === session);
+        };
+        video.ontimeupdate = () => updateSplitTimeline();
+        
+    } catch (error) {
+        console.error('Failed to open split modal:', error);
+        stateManager.showAlert('Failed to open split tool: ' + error.message, 'error');
+    }
+}
+
+function setupSplitTimeline() {
+    const timeline = document.getElementById('split-timeline');
+    if (!timeline || timeline.dataset.ready) return;
+    timeline.dataset.ready = 'true';
+    
+    const seekToPointer = (event) => {
+        const rect = timeline.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        currentSplitSession.videoElement.currentTime = fraction * currentSplitSession.duration;
+        updateSplitTimeline();
+    };
+    
+    timeline.addEventListener('pointerdown', (event) => {
+        if (!currentSplitSession || !currentSplitSession.duration || currentSplitSession.job) return;
+        
+        // Clicking a marker removes that cut
+        const marker = event.target.closest('.split-marker');
+        if (marker) {
+            removeSplitPoint(Number(marker.dataset.index));
+            return;
+        }
+        
+        currentSplitSession.scrubbing = true;
+        timeline.setPointerCapture(event.pointerId);
+        seekToPointer(event);
+        event.preventDefault();
+    });
+    
+    timeline.addEventListener('pointermove', (event) => {
+        if (currentSplitSession && currentSplitSession.scrubbing) {
+            seekToPointer(event);
+        }
+    });
+    
+    const endScrub = () => {
+        if (currentSplitSession) {
+            currentSplitSession.scrubbing = false;
+        }
+    };
+    timeline.addEventListener('pointerup', endScrub);
+    timeline.addEventListener('pointercancel', endScrub);
+}
+
+function addSplitPointAtPlayhead() {
+    const session = currentSplitSession;
+    if (!session || !session.duration || session.job) return;
+    
+    const time = Math.round(session.videoElement.currentTime * 1000) / 1000;
+    
+    // Every clip needs some length, so cuts can't sit on top of each other or the ends
+    const boundaries = [0, ...session.cutPoints, session.duration];
+    if (boundaries.some(boundary => Math.abs(boundary - time) < TRIM_MIN_LENGTH)) {
+        stateManager.showAlert('Cut points need to be at least half a second apart and away from the ends', 'error');
+        return;
+    }
+    
+    session.cutPoints.push(time);
+    session.cutPoints.sort((a, b) => a - b);
+    updateSplitTimeline();
+}
+
+function removeSplitPoint(index) {
+    if (!currentSplitSession || currentSplitSession.job) return;
+    currentSplitSession.cutPoints.splice(index, 1);
+    updateSplitTimeline();
+}
+
+function getSplitSegments(session) {
+    const boundaries = [0, ...session.cutPoints, session.duration];
+    return boundaries.slice(0, -1).map((start, index) => ({ start, end: boundaries[index + 1] }));
+}
+
+function updateSplitTimeline() {
+    const session = currentSplitSession;
+    if (!session || !session.duration) return;
+    
+    const percent = (time) => (time / session.duration) * 100 + '%';
+    document.getElementById('split-playhead').style.left = percent(Math.min(session.videoElement.currentTime, session.duration));
+    
+    document.getElementById('split-markers').innerHTML = session.cutPoints.map((time, index) => `
+        <div class="split-marker" data-index="${index}" style="left: ${percent(time)}" title="Cut at ${formatTime(time)} - click to remove"></div>
+    `).join('');
+    
+    const segments = getSplitSegments(session);
+    document.getElementById('split-segments').innerHTML = segments.length > 1
+        ? segments.map((segment, index) => `
+            <span class="split-segment">Clip ${index + 1}: ${formatTime(segment.start)} - ${formatTime(segment.end)}</span>
+        `).join('')
+        : '<span class="split-segment">Add at least one cut point to split this recording</span>';
+    
+    document.getElementById('split-apply-btn').disabled = segments.length < 2 || Boolean(session.job);
+}
+
+function closeSplitModal() {
+    if (currentSplitSession) {
+        if (currentSplitSession.job) {
+            currentSplitSession.job.cancel();
+        }
+        const video = currentSplitSession.videoElement;
+        video.pause();
+        video.onloadedmetadata = null;
+        video.ontimeupdate = null;
+        URL.revokeObjectURL(video.src);
+        video.removeAttribute('src');
+        currentSplitSession = null;
+    }
+    document.getElementById('split-filmstrip').innerHTML = '';
+    document.getElementById('split-markers').innerHTML = '';
+    document.getElementById('split-modal').style.display = 'none';
+}
+
+function cancelSplitJob() {
+    if (currentSplitSession && currentSplitSession.job) {
+        currentSplitSession.job.cancel();
+    }
+}
+
+// Cut every segment first and only save once all of them succeeded,
+// so a cancelled or failed split leaves the library exactly as it was
+async function applySplit() {
+    const session = currentSplitSession;
+    if (!session || !session.duration || session.job) return;
+    
+    const { recording } = session;
+    const segments = getSplitSegments(session);
+    if (segments.length < 2) return;
+    
+    session.videoElement.pause();
+    stateManager.showAlert(`Splitting into ${segments.length} clips...`, 'success');
+    
+    const progress = showEditProgress(document.querySelector('#split-modal .crop-instructions'), 'Splitting Video', 'cancelSplitJob()');
+    const job = new CropJob({ onProgress: progress.update });
+    session.job = job;
+    updateSplitTimeline();
+    
+    try {
+        const clips = [];
+        try {
+            for (let i = 0; i < segments.length; i++) {
+                job.throwIfCancelled();
+                const blob = await processCrop(recording.blob, { left: 0, right: 0, top: 0, bottom: 0 }, {
+                    keepAudio: recordingHasAudio(recording, session.videoElement) !== false,
+                    format: recording.format || 'webm',
+                    durationHint: session.duration,
+                    range: segments[i],
+                    job: job.forStep(i, segments.length)
+                });
+                const finalized = await finalizeRecordingBlob([blob], { format: recording.format || 'webm', mimeType: blob.type });
+                if (finalized.warning && i === 0) {
+                    stateManager.showAlert(finalized.warning, 'error');
+                }
+                clips.push({ ...segments[i], blob: finalized.blob, format: finalized.format });
+            }
+        } finally {
+            session.job = null;
+            progress.remove();
+            updateSplitTimeline();
+        }
+        
+        const parentBase = recording.filename.replace(/\.[^.]+$/, '');
+        for (let i = 0; i < clips.length; i++) {
+            clips[i].filename = await checkForDuplicateId(`${parentBase}_part${i + 1}`, clips[i].format);
+        }
+        
+        const totalClipSize = clips.reduce((total, clip) => total + clip.blob.size, 0);
+        const storageCheck = await checkStorageCapacity(totalClipSize);
+        if (!storageCheck.allowed) {
+            // Don't throw away the encoded clips - hand them over as downloads instead
+            closeSplitModal();
+            for (const clip of clips) {
+                downloadRecordingDirectly(clip.blob, clip.filename);
+                // Browsers drop downloads fired in the same tick, so space them out
+                await new Promise(resolve => setTimeout(resolve, 300));
+            }
+            return;
+        }
+        
+        for (let i = 0; i < clips.length; i++) {
+            const clip = clips[i];
+            const format = clip.format;
+            const filename = clip.filename;
+            
+            let screenshot = recording.screenshot || null;
+            try {
+                screenshot = await thumbnailEngine.captureFromBlob(clip.blob, Math.min(0.5, (clip.end - clip.start) / 2)) || screenshot;
+            } catch (thumbnailError) {
+                console.warn(`Could not capture thumbnail for clip ${i + 1}:`, thumbnailError);
+            }
+            
+            await stateManager.dbManager.saveRecording({
+                filename: filename,
+                blob: clip.blob,
+                size: clip.blob.size,
+                timestamp: new Date().toISOString(),
+                duration: clip.end - clip.start,
+                format: format,
+                quality: recording.quality,
+                tabTitle: recording.tabTitle,
+                tabCount: recording.tabCount,
+                audioSources: recording.audioSources,
+                screenshot: screenshot,
+                splitFrom: {
+                    recordingId: recording.id,
+                    filename: recording.filename,
+                    part: i + 1,
+                    parts: clips.length,
+                    start: clip.start,
+                    end: clip.end
+                }
+            });
+        }
+        
+        await loadSavedRecordings();
+        closeSplitModal();
+        
+        stateManager.showAlert(`Split into ${clips.length} clips. The original recording was kept.`);
+        
+    } catch (error) {
+        if (error instanceof CropCancelledError) {
+            stateManager.showAlert('Split cancelled - no clips were saved');
+            return;
+        }
+        console.error('Split failed:', error);
+        stateManager.showAlert('Split failed: ' + error.message, 'error');
+    }
+}
+
+// MERGE TOOL
+let currentMergeSession = null;
+
+// The selected ids, in on-screen order, come first and pre-ticked when opened from the batch bar
+async function openMergeModal(preselectedIds = []) {
+    try {
+        const recordings = await stateManager.dbManager.getAllRecordings();
+        if (recordings.length < 2) {
+            stateManager.showAlert('You need at least two recordings to merge', 'error');
+            return;
+        }
+        
+        // Oldest first is the most likely order for a session recorded in parts
+        recordings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        
+        const knownIds = new Set(recordings.map(recording => recording.id));
+        const selectedIds = preselectedIds.filter(id => knownIds.has(id));
+        
+        currentMergeSession = {
+            recordings: recordings,
+            order: selectedIds.concat(recordings.map(recording => recording.id).filter(id => !selectedIds.includes(id))),
+            selected: new Set(selectedIds),
+            job: null
+        };
+        
+        renderMergeList();
+        document.getElementById('merge-modal').style.display = 'block';
+        
+    } catch (error) {
+        console.error('Failed to open merge modal:', error);
+        stateManager.showAlert('Failed to open merge tool: ' + error.message, 'error');
+    }
+}
+
+function renderMergeList() {
+    const session = currentMergeSession;
+    if (!session) return;
+    
+    const byId = new Map(session.recordings.map(recording => [recording.id, recording]));
+    let position = 0;
+    
+    document.getElementById('merge-list').innerHTML = session.order.map((id, index) => {
+        const recording = byId.get(id);
+        const isSelected = session.selected.has(id);
+        if (isSelected) position++;
+        
+        return `
+            <div class="merge-item ${isSelected ? 'selected' : ''}">
+                <input type="checkbox" ${isSelected ? 'checked' : ''} onchange="toggleMergeSelection(${id})" ${session.job ? 'disabled' : ''}>
+                <span class="merge-position">${isSelected ? position : ''}</span>
+                <span class="merge-name" title="${recording.filename}">${recording.filename}</span>
+                <span class="merge-details">${formatTime(recording.duration || 0)} • ${(recording.size / (1024 * 1024)).toFixed(1)} MB</span>
+                <button class="rename-btn" onclick="moveMergeItem(${index}, -1)" ${index === 0 || session.job ? 'disabled' : ''} title="Move up">&uarr;</button>
+                <button class="rename-btn" onclick="moveMergeItem(${index}, 1)" ${index === session.order.length - 1 || session.job ? 'disabled' : ''} title="Move down">&darr;</button>
+            </div>
+        `;
+    }).join('');
+    
+    const selectedCount = session.selected.size;
+    const applyButton = document.getElementById('merge-apply-btn');
+    applyButton.disabled = selectedCount < 2 || Boolean(session.job);
+    applyButton.textContent = selectedCount >= 2 ? `Merge ${selectedCount} Recordings` : 'Merge Recordings';
+}
+
+function toggleMergeSelection(recordingId) {
+    if (!currentMergeSession || currentMergeSession.job) return;
+    
+    if (currentMergeSession.selected.has(recordingId)) {
+        currentMergeSession.selected.delete(recordingId);
+    } else {
+        currentMergeSession.selected.add(recordingId);
+    }
+    renderMergeList();
+}
+
+function moveMergeItem(index, direction) {
+    if (!currentMergeSession || currentMergeSession.job) return;
+    
+    const order = currentMergeSession.order;
+    const target = index + direction;
+    if (target < 0 || target >= order.length) return;
+    
+    [order[index], order[target]] = [order[target], order[index]];
+    renderMergeList();
+}
+
+function closeMergeModal() {
+    if (currentMergeSession && currentMergeSession.job) {
+        currentMergeSession.job.cancel();
+    }
+    currentMergeSession = null;
+    document.getElementById('merge-list').innerHTML = '';
+    document.getElementById('merge-modal').style.display = 'none';
+}
+
+function cancelMergeJob() {
+    if (currentMergeSession && currentMergeSession.job) {
+        currentMergeSession.job.cancel();
+    }
+}
+
+async function applyMerge() {
+    const session = currentMergeSession;
+    if (!session || session.job) return;
+    
+    const sourceIds = session.order.filter(id => session.selected.has(id));
+    if (sourceIds.length < 2) return;
+    
+    stateManager.showAlert(`Merging ${sourceIds.length} recordings...`, 'success');
+    
+    const progress = showEditProgress(document.querySelector('#merge-modal .crop-instructions'), 'Merging Videos', 'cancelMergeJob()');
+    const job = new CropJob({ onProgress: progress.update });
+    session.job = job;
+    renderMergeList();
+    
+    try {
+        let merged;
+        let sources;
+        try {
+            // The list only holds metadata; load the videos now that we know which ones
+            sources = await Promise.all(sourceIds.map(id => stateManager.dbManager.getRecording(id)));
+            if (sources.some(source => !source || !source.blob)) {
+                throw new Error('One of the selected recordings no longer exists');
+            }
+            merged = await processMerge(sources, { job });
+        } finally {
+            session.job = null;
+            progress.remove();
+            renderMergeList();
+        }
+        
+        const first = sources[0];
+        const finalized = await finalizeRecordingBlob([merged.blob], { format: first.format || 'webm', mimeType: merged.blob.type });
+        if (finalized.warning) {
+            stateManager.showAlert(finalized.warning, 'error');
+        }
+        merged.blob = finalized.blob;
+        const format = finalized.format;
+        
+        const baseName = first.filename.replace(/\.[^.]+$/, '');
+        const filename = await checkForDuplicateId(`${baseName}_merged`, format);
+        
+        // Same storage cap and quota check as new recordings; if it won't fit, download it rather than lose it
+        const storageCheck = await checkStorageCapacity(merged.blob.size);
+        if (!storageCheck.allowed) {
+            downloadRecordingDirectly(merged.blob, filename);
+            closeMergeModal();
+            return;
+        }
+        
+        let screenshot = first.screenshot || null;
+        try {
+            screenshot = await thumbnailEngine.captureFromBlob(merged.blob) || screenshot;
+        } catch (thumbnailError) {
+            console.warn('Could not capture thumbnail for merged video:', thumbnailError);
+        }
+        
+        const audioSources = [];
+        sources.forEach(source => (source.audioSources || []).forEach(audioSource => {
+            if (!audioSources.some(existing => existing.kind === audioSource.kind)) {
+                audioSources.push(audioSource);
+            }
+        }));
+        
+        await stateManager.dbManager.saveRecording({
+            filename: filename,
+            blob: merged.blob,
+            size: merged.blob.size,
+            timestamp: new Date().toISOString(),
+            duration: merged.duration,
+            format: format,
+            quality: first.quality,
+            tabTitle: first.tabTitle,
+            tabCount: first.tabCount,
+            audioSources: audioSources,
+            screenshot: screenshot,
+            outputSize: { width: merged.width, height: merged.height },
+            sourceRecordings: sources.map(source => ({
+                id: source.id,
+                filename: source.filename,
+                duration: source.duration || 0
+            }))
+        });
+        
+        await loadSavedRecordings();
+        closeMergeModal();
+        
+        stateManager.showAlert(`Merged ${sources.length} recordings into ${filename}`);
+        
+    } catch (error) {
+        if (error instanceof CropCancelledError) {
+            stateManager.showAlert('Merge cancelled - nothing was saved');
+            return;
+        }
+        console.error('Merge failed:', error);
+        stateManager.showAlert('Merge failed: ' + error.message, 'error');
+    }
+}
+
+// Width/height/duration of a saved recording without keeping the element around
+function loadVideoMetadata(blob, durationHint = 0) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'metadata';
+        video.src = URL.createObjectURL(blob);
+        
+        video.onloadedmetadata = async () => {
+            const duration = await resolveVideoDuration(video, durationHint);
+            const metadata = { width: video.videoWidth, height: video.videoHeight, duration };
+            URL.revokeObjectURL(video.src);
+            resolve(metadata);
+        };
+        video.onerror = () => {
+            URL.revokeObjectURL(video.src);
+            reject(new Error('Failed to load video. The file may be corrupted or too large.'));
+        };
+    });
+}
+
+// Biggest source wins so nothing gets downscaled; encoders want even dimensions
+function getMergeOutputSize(metadataList) {
+    const largest = metadataList.reduce((best, metadata) =>
+        metadata.width * metadata.height > best.width * best.height ? metadata : best
+    );
+    return {
+        width: Math.min(4000, largest.width - (largest.width % 2)),
+        height: Math.min(4000, largest.height - (largest.height % 2))
+    };
+}
+
+// Scale to fit inside the output and center it - the rest stays black
+function getLetterboxRect(sourceWidth, sourceHeight, outputWidth, outputHeight) {
+    const scale = Math.min(outputWidth / sourceWidth, outputHeight / sourceHeight);
+    const width = Math.round(sourceWidth * scale);
+    const height = Math.round(sourceHeight * scale);
+    return {
+        x: Math.round((outputWidth - width) / 2),
+        y: Math.round((outputHeight - height) / 2),
+        width,
+        height
+    };
+}
+
+// Concatenate recordings in order. Same strategy as cropping: WebCodecs when available, real-time playback otherwise.
+async function processMerge(recordings, { job = null } = {}) {
+    const metadataList = [];
+    for (const recording of recordings) {
+        metadataList.push(await loadVideoMetadata(recording.blob, recording.duration || 0));
+    }
+    const { width, height } = getMergeOutputSize(metadataList);
+    const keepAudio = recordings.some(recording => recordingHasAudio(recording) !== false);
+    
+    let blob = null;
+    if (isWebCodecsCropSupported()) {
+        try {
+            blob = await processWebCodecsMerge(recordings.map(recording => recording.blob), { width, height, job });
+        } catch (error) {
+            if (error instanceof CropCancelledError) throw error;
+            console.warn('WebCodecs merge failed, falling back to real-time merge:', error);
+        }
+    }
+    if (!blob) {
+        blob = await processRealtimeMerge(recordings.map(recording => recording.blob), {
+            width,
+            height,
+            durations: metadataList.map(metadata => metadata.duration),
+            keepAudio,
+            format: recordings[0].format || 'webm',
+            job
+        });
+    }
+    
+    return {
+        blob,
+        width,
+        height,
+        duration: metadataList.reduce((total, metadata) => total + metadata.duration, 0)
+    };
+}
+
+// Demux one merge source and check WebCodecs can decode it
+async function demuxMergeSource(blob) {
+    const demuxer = new WebMDemuxer(await blob.arrayBuffer()).parse();
+    const videoTrack = demuxer.videoTrack;
+    if (!videoTrack) {
+        throw new Error('No video track found');
+    }
+    
+    const videoFrames = demuxer.framesForTrack(videoTrack.number);
+    if (videoFrames.length === 0 || !videoFrames[0].keyframe) {
+        throw new Error('Video does not start with a keyframe');
+    }
+    
+    const decoderConfig = getWebCodecsDecoderConfig(videoTrack, videoFrames[0]);
+    if (!decoderConfig || !(await VideoDecoder.isConfigSupported(decoderConfig)).supported) {
+        throw new Error(`WebCodecs can't decode ${videoTrack.codecId}`);
+    }
+    
+    const audioTrack = demuxer.audioTrack;
+    return {
+        videoTrack,
+        videoFrames,
+        decoderConfig,
+        audioTrack,
+        audioFrames: audioTrack ? demuxer.framesForTrack(audioTrack.number) : [],
+        declaredDuration: demuxer.duration
+    };
+}
+
+// Track details without references into the demuxed file, so its buffer can be freed
+function detachWebMTrack(track) {
+    return track ? { ...track, codecPrivate: track.codecPrivate ? track.codecPrivate.slice() : null } : null;
+}
+
+async function processWebCodecsMerge(blobs, { width, height, job = null }) {
+    // Only one source's demuxed data is held at a time: a first pass keeps just the track
+    // details and frame counts, and each source is demuxed again right before it's encoded
+    const sourceInfo = [];
+    for (const blob of blobs) {
+        const source = await demuxMergeSource(blob);
+        sourceInfo.push({
+            videoTrack: detachWebMTrack(source.videoTrack),
+            audioTrack: detachWebMTrack(source.audioTrack),
+            frameCount: source.videoFrames.length
+        });
+    }
+    
+    // Audio packets are copied, which only works when every source uses the same audio format
+    const audioTracks = sourceInfo.map(info => info.audioTrack).filter(Boolean);
+    const outputAudioTrack = audioTracks[0] || null;
+    const audioMatches = audioTracks.every(track =>
+        track.codecId === outputAudioTrack.codecId &&
+        (track.channels || 2) === (outputAudioTrack.channels || 2) &&
+        (track.sampleRate || 48000) === (outputAudioTrack.sampleRate || 48000)
+    );
+    if (!audioMatches) {
+        throw new Error('Sources have different audio formats');
+    }
+    
+    const encoderChoice = await pickWebCodecsEncoderConfig(width, height);
+    if (!encoderChoice) {
+        throw new Error('No supported WebCodecs encoder for the merged size');
+    }
+    
+    const muxer = new WebMMuxer({
+        tracks: [
+            { number: 1, type: 1, codecId: encoderChoice.codecId, width, height },
+            ...(outputAudioTrack ? [{ ...outputAudioTrack, number: 2 }] : [])
+        ]
+    });
+    
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { alpha: false });
+    const totalFrames = sourceInfo.reduce((total, info) => total + info.frameCount, 0);
+    let processedFrames = 0;
+    let failure = null;
+    let lastKeyFrameTimestamp = -Infinity;
+    
+    if (job) {
+        job.onCancel(() => {
+            failure = failure || new CropCancelledError();
+        });
+    }
+    
+    const encoder = new VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            muxer.addFrame(1, { timestamp: chunk.timestamp, keyframe: chunk.type === 'key', data });
+        },
+        error: (error) => { failure = failure || error; }
+    });
+    encoder.configure(encoderChoice.config);
+    
+    const waitForPipeline = () => new Promise(resolve => setTimeout(resolve, 1));
+    let offsetUs = 0;
+    
+    try {
+        for (const blob of blobs) {
+            if (failure) throw failure;
+            const source = await demuxMergeSource(blob);
+            const sourceOffsetUs = offsetUs;
+            const rect = getLetterboxRect(source.videoTrack.width, source.videoTrack.height, width, height);
+            let forceKeyFrame = true; // each source starts on a keyframe so the joins seek cleanly
+            
+            const decoder = new VideoDecoder({
+                output: (frame) => {
+                    try {
+                        ctx.fillStyle = '#000000';
+                        ctx.fillRect(0, 0, width, height);
+                        ctx.drawImage(frame, rect.x, rect.y, rect.width, rect.height);
+                        
+                        const timestamp = sourceOffsetUs + frame.timestamp;
+                        const outputFrame = new VideoFrame(canvas, { timestamp });
+                        const keyFrame = forceKeyFrame || timestamp - lastKeyFrameTimestamp >= 2000000;
+                        if (keyFrame) {
+                            lastKeyFrameTimestamp = timestamp;
+                            forceKeyFrame = false;
+                        }
+                        if (encoder.state === 'configured') {
+                            encoder.encode(outputFrame, { keyFrame });
+                        }
+                        outputFrame.close();
+                    } catch (error) {
+                        failure = failure || error;
+                    } finally {
+                        frame.close();
+                    }
+                    
+                    processedFrames++;
+                    if (job) job.reportProgress(processedFrames / totalFrames);
+                },
+                error: (error) => { failure = failure || error; }
+            });
+            decoder.configure(source.decoderConfig);
+            
+            try {
+                for (const frame of source.videoFrames) {
+                    while (!failure && (decoder.decodeQueueSize > 8 || encoder.encodeQueueSize > 8)) {
+                        await waitForPipeline();
+                    }
+                    if (failure) throw failure;
+                    
+                    decoder.decode(new EncodedVideoChunk({
+                        type: frame.keyframe ? 'key' : 'delta',
+                        timestamp: frame.timestamp,
+                        data: frame.data
+                    }));
+                }
+                await decoder.flush();
+            } finally {
+                if (decoder.state !== 'closed') decoder.close();
+            }
+            if (failure) throw failure;
+            
+            // Copy the audio bytes out so nothing keeps this source's buffer alive once it's done
+            source.audioFrames.forEach(frame => {
+                muxer.addFrame(2, { ...frame, data: frame.data.slice(), timestamp: sourceOffsetUs + frame.timestamp });
+            });
+            
+            // The next source starts where this one ends, including its last frame's duration
+            const videoFrames = source.videoFrames;
+            const lastVideo = videoFrames[videoFrames.length - 1].timestamp;
+            const frameGap = videoFrames.length > 1 ? lastVideo - videoFrames[videoFrames.length - 2].timestamp : 33333;
+            const lastAudio = source.audioFrames.length > 0 ? source.audioFrames[source.audioFrames.length - 1].timestamp + 20000 : 0;
+            const declared = source.declaredDuration ? Math.round(source.declaredDuration * 1000000) : 0;
+            offsetUs += Math.max(lastVideo + frameGap, lastAudio, declared);
+        }
+        
+        await encoder.flush();
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+    }
+    
+    if (failure) throw failure;
+    return muxer.finalize();
+}
+
+// Fallback: play each recording in turn onto one canvas and record it.
+// The recorder is paused while the next source loads so there are no frozen gaps at the joins.
+function processRealtimeMerge(blobs, { width, height, durations, keepAudio = true, format = 'webm', job = null }) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        let audioContext = null;
+        let currentVideo = null;
+        let sourceIndex = 0;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { alpha: false });
+        const stream = canvas.captureStream(30);
+        
+        // One audio destination for every source so the output has a single continuous track
+        let audioDestination = null;
+        if (keepAudio && canCropKeepAudio()) {
+            try {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                audioContext = new AudioContextClass();
+                audioDestination = audioContext.createMediaStreamDestination();
+                audioDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+                audioContext.resume().catch(() => {});
+            } catch (audioError) {
+                console.warn('Could not route audio into merged video:', audioError);
+                audioDestination = null;
+            }
+        }
+        
+        const mimeType = getEditRecorderMimeType(format, Boolean(audioDestination));
+        const recorder = new MediaRecorder(stream, {
+            mimeType: mimeType,
+            videoBitsPerSecond: 8000000,
+            videoKeyFrameIntervalDuration: 2000
+        });
+        const chunks = [];
+        
+        const releaseCurrentVideo = () => {
+            if (currentVideo) {
+                currentVideo.pause();
+                URL.revokeObjectURL(currentVideo.src);
+                currentVideo = null;
+            }
+        };
+        
+        const finish = (error, blob) => {
+            if (settled) return;
+            settled = true;
+            releaseCurrentVideo();
+            if (audioContext) {
+                audioContext.close().catch(() => {});
+                audioContext = null;
+            }
+            stream.getTracks().forEach(track => track.stop());
+            if (error) {
+                reject(error);
+            } else {
+                resolve(blob);
+            }
+        };
+        
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        };
+        recorder.onstop = () => {
+            if (job && job.cancelled) {
+                finish(new CropCancelledError());
+                return;
+            }
+            const blob = new Blob(chunks, { type: mimeType.split(';')[0] });
+            if (blob.size === 0) {
+                finish(new Error('Merging resulted in empty video.'));
+            } else {
+                makeWebMSeekable(blob).then(seekableBlob => {
+                    if (job) job.reportProgress(1);
+                    finish(null, seekableBlob);
+                });
+            }
+        };
+        recorder.onerror = (event) => {
+            finish(new Error('Recording failed: ' + (event.error?.message || 'Unknown error')));
+        };
+        
+        if (job) {
+            job.onCancel(() => {
+                if (recorder.state !== 'inactive') {
+                    recorder.stop();
+                } else {
+                    finish(new CropCancelledError());
+                }
+            });
+        }
+        
+        const totalSeconds = durations.reduce((total, duration) => total + duration, 0);
+        const completedSeconds = () => durations.slice(0, sourceIndex).reduce((total, duration) => total + duration, 0);
+        
+        const playSource = () => {
+            if (settled) return;
+            if (sourceIndex >= blobs.length) {
+                recorder.stop();
+                return;
+            }
+            
+            const video = document.createElement('video');
+            video.src = URL.createObjectURL(blobs[sourceIndex]);
+            video.muted = !audioDestination;
+            currentVideo = video;
+            
+            if (audioDestination) {
+                const audioSource = audioContext.createMediaElementSource(video);
+                audioSource.connect(audioDestination);
+            }
+            
+            video.onloadedmetadata = () => {
+                const rect = getLetterboxRect(video.videoWidth, video.videoHeight, width, height);
+                
+                const renderFrame = () => {
+                    if (settled || currentVideo !== video) return;
+                    if (video.ended) {
+                        releaseCurrentVideo();
+                        sourceIndex++;
+                        if (recorder.state === 'recording') recorder.pause();
+                        playSource();
+                        return;
+                    }
+                    
+                    ctx.fillStyle = '#000000';
+                    ctx.fillRect(0, 0, width, height);
+                    ctx.drawImage(video, rect.x, rect.y, rect.width, rect.height);
+                    
+                    if (job && totalSeconds > 0) {
+                        job.reportProgress((completedSeconds() + video.currentTime) / totalSeconds);
+                    }
+                    requestAnimationFrame(renderFrame);
+                };
+                
+                const startPlayback = () => video.play().then(() => {
+                    if (recorder.state === 'inactive') {
+                        recorder.start(250);
+                    } else if (recorder.state === 'paused') {
+                        recorder.resume();
+                    }
+                    requestAnimationFrame(renderFrame);
+                }).catch(playError => {
+                    // Autoplay rules can block unmuted playback - merge without sound rather than fail
+                    if (!video.muted && playError.name === 'NotAllowedError') {
+                        video.muted = true;
+                        return startPlayback();
+                    }
+                    if (recorder.state !== 'inactive') {
+                        recorder.onstop = null;
+                        recorder.stop();
+                    }
+                    finish(new Error('Failed to play video: ' + playError.message));
+                });
+                startPlayback();
+            };
+            video.onerror = () => {
+                if (recorder.state !== 'inactive') {
+                    recorder.onstop = null;
+                    recorder.stop();
+                }
+                finish(new Error(`Failed to load recording ${sourceIndex + 1} for merging.`));
+            };
+        };
+        
+        playSource();
+    });
+}
+
+// MediaRecorder type for the real-time edit fallbacks. VP8 encodes fastest, but it can't be remuxed
+// into MP4, so MP4 edits use the same codec order as new recordings (VP9/H.264 first).
+function getEditRecorderMimeType(format, withAudio) {
+    if (format === 'mp4') {
+        const { mimeType } = resolveRecorderFormat('mp4');
+        const type = withAudio ? mimeType : mimeType.replace(',opus', '');
+        if (MediaRecorder.isTypeSupported(type)) return type;
+    }
+    
+    const candidates = withAudio
+        ? ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp9,opus', 'video/webm']
+        : ['video/webm;codecs=vp8', 'video/webm;codecs=vp9', 'video/webm'];
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) || 'video/webm';
+}
+
+// Whether the real-time crop path can carry audio into its output
+function canCropKeepAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    return Boolean(
+        AudioContextClass &&
+        AudioContextClass.prototype.createMediaElementSource &&
+        AudioContextClass.prototype.createMediaStreamDestination &&
+        typeof MediaRecorder !== 'undefined' &&
+        (MediaRecorder.isTypeSupported('video/webm;codecs=vp8,opus') || MediaRecorder.isTypeSupported('video/webm;codecs=vp9,opus'))
+    );
+}
+
+// Best guess at whether a saved recording has sound: true, false, or null when we can't tell
+function recordingHasAudio(recording, videoElement) {
+    if (Array.isArray(recording.audioSources)) {
+        return recording.audioSources.length > 0;
+    }
+    if (videoElement) {
+        if (typeof videoElement.mozHasAudio === 'boolean') return videoElement.mozHasAudio;
+        if (videoElement.audioTracks) return videoElement.audioTracks.length > 0;
+    }
+    return null;
+}
+
+// Let the user know before cropping if the sound is going to be lost
+function updateCropAudioWarning() {
+    const warning = document.getElementById('crop-audio-warning');
+    if (!warning || !currentCropSession) return;
+    
+    const hasAudio = recordingHasAudio(currentCropSession.recording, currentCropSession.videoElement);
+    const canKeepAudio = canCropKeepAudio() || isWebCodecsCropSupported();
+    warning.style.display = hasAudio !== false && !canKeepAudio ? 'block' : 'none';
+    warning.textContent = hasAudio === null
+        ? '⚠️ This video may have audio, and this browser can\'t keep audio when cropping'
+        : '⚠️ This video has audio, and this browser can\'t keep audio when cropping - the cropped video will be silent';
+}
+
+// Simple canvas-based crop processing with optimization for larger videos
+async function processSimpleCrop(videoBlob, cropParams, { keepAudio = true, durationHint = 0, format = 'webm', job = null, range = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const { left, right, top, bottom } = cropParams;
+        // Optional { start, end } in seconds - only that part of the video is played and recorded
+        const rangeStart = range ? range.start : 0;
+        const rangeEnd = range ? range.end : null;
+        let recorder = null;
+        let settled = false;
+        
+        // Audio is routed through Web Audio into the recorder only, so nothing plays out loud
+        let audioContext = null;
+        const closeCropAudio = () => {
+            if (audioContext) {
+                audioContext.close().catch(() => {});
+                audioContext = null;
+            }
+        };
+        
+        // Check video size and warn for large files
+        const videoSizeMB = videoBlob.size / (1024 * 1024);
+        if (videoSizeMB > 50) {
+            console.warn(`Processing large video: ${videoSizeMB.toFixed(1)}MB`);
+        }
+        
+        // Create video element
+        const video = document.createElement('video');
+        video.src = URL.createObjectURL(videoBlob);
+        video.muted = true;
+        video.preload = 'metadata';
+        
+        // Every exit path goes through here so the object URL and audio graph are always released
+        const finish = (error, croppedBlob) => {
+            if (settled) return;
+            settled = true;
+            video.pause();
+            URL.revokeObjectURL(video.src);
+            closeCropAudio();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(croppedBlob);
+            }
+        };
+        
+        if (job) {
+            job.onCancel(() => {
+                if (recorder && recorder.state !== 'inactive') {
+                    recorder.stop(); // onstop sees the cancelled job and rejects
+                } else {
+                    finish(new CropCancelledError());
+                }
+            });
+        }
+        
+        // MediaRecorder WebMs often report an Infinity duration, so fall back to the recorded length
+        const getTotalSeconds = () => Number.isFinite(video.duration) && video.duration > 0 ? video.duration : durationHint;
+        
+        video.onloadedmetadata = () => {
+            if (settled) return;
+            try {
+                const originalWidth = video.videoWidth;
+                const originalHeight = video.videoHeight;
+                
+                // Calculate new dimensions
+                const newWidth = originalWidth - left - right;
+                const newHeight = originalHeight - top - bottom;
+                
+                if (newWidth <= 0 || newHeight <= 0) {
+                    finish(new Error('Invalid crop dimensions. Check your crop values.'));
+                    return;
+                }
+                
+                // Check if resulting video would be too large
+                if (newWidth > 4000 || newHeight > 4000) {
+                    finish(new Error('Resulting video dimensions too large. Try smaller crop area.'));
+                    return;
+                }
+                
+                // Create canvas with optimized settings for MacBook performance
+                const canvas = document.createElement('canvas');
+                const ctx = canvas.getContext('2d', { 
+                    alpha: false,
+                    desynchronized: true,  // Better performance on MacBook
+                    powerPreference: 'high-performance',  // Use dedicated GPU if available
+                    willReadFrequently: false  // Optimize for write operations
+                });
+                canvas.width = newWidth;
+                canvas.height = newHeight;
+                
+                // Enable hardware acceleration hints
+                ctx.imageSmoothingEnabled = false;  // Faster pixel-perfect copying
+                ctx.imageSmoothingQuality = 'high';  // High quality when smoothing is needed
+                
+                // Set up MediaRecorder with optimized settings for faster processing
+                const stream = canvas.captureStream(30); // Limited to 30fps for performance
+                
+                // Carry the source audio along - it plays from the same element, so it stays in sync
+                if (keepAudio && canCropKeepAudio()) {
+                    try {
+                        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                        audioContext = new AudioContextClass();
+                        const audioSource = audioContext.createMediaElementSource(video);
+                        const audioDestination = audioContext.createMediaStreamDestination();
+                        audioSource.connect(audioDestination);
+                        audioDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+                        audioContext.resume().catch(() => {});
+                        video.muted = false;
+                    } catch (audioError) {
+                        console.warn('Could not route audio into cropped video:', audioError);
+                        closeCropAudio();
+                    }
+                }
+                const hasAudioTrack = stream.getAudioTracks().length > 0;
+                
+                // VP8 for faster encoding, unless the result has to become an MP4
+                const mimeType = getEditRecorderMimeType(format, hasAudioTrack);
+                
+                // Optimized settings for MacBook Chrome performance
+                recorder = new MediaRecorder(stream, {
+                    mimeType: mimeType,
+                    videoBitsPerSecond: 8000000,  // 8 Mbps for high quality 1080p 30fps
+                    // Hardware acceleration hints for better performance
+                    videoKeyFrameIntervalDuration: 2000  // Keyframe every 2 seconds for faster seeking
+                });
+                
+                const chunks = [];
+                let frameCount = 0;
+                
+                recorder.ondataavailable = (e) => {
+                    if (e.data.size > 0) {
+                        chunks.push(e.data);
+                    }
+                };
+                
+                recorder.onstop = () => {
+                    if (job && job.cancelled) {
+                        finish(new CropCancelledError());
+                        return;
+                    }
+                    
+                    try {
+                        const croppedBlob = new Blob(chunks, { type: mimeType.split(';')[0] });
+                        if (croppedBlob.size === 0) {
+                            finish(new Error('Processing resulted in empty video. Try different crop settings.'));
+                        } else {
+                            // Recorder output has no duration or cues, same as a fresh recording
+                            makeWebMSeekable(croppedBlob).then(seekableBlob => {
+                                if (job) job.reportProgress(1);
+                                finish(null, seekableBlob);
+                            });
+                        }
+                    } catch (error) {
+                        finish(new Error('Failed to create cropped video: ' + error.message));
+                    }
+                };
+                
+                recorder.onerror = (event) => {
+                    finish(new Error('Recording failed: ' + (event.error?.message || 'Unknown error')));
+                };
+                
+                let lastRenderTime = 0;
+                const targetFrameTime = 1000 / 30; // 30fps = ~33.33ms per frame
+                
+                const renderFrame = (currentTime) => {
+                     if (settled || recorder.state === 'inactive') {
+                         return;
+                     }
+                     if (video.ended || video.paused || (rangeEnd !== null && video.currentTime >= rangeEnd)) {
+                         recorder.stop();
+                         return;
+                     }
+                     
+                     // Frame rate limiting for consistent 30fps processing
+                     if (currentTime - lastRenderTime >= targetFrameTime) {
+                         try {
+                             // Draw cropped frame with error handling
+                             ctx.drawImage(
+                                 video,
+                                 left, top, newWidth, newHeight,
+                                 0, 0, newWidth, newHeight
+                             );
+                             frameCount++;
+                             lastRenderTime = currentTime;
+                             
+                             // Progress follows playback position through the video (or the trimmed part of it)
+                             const totalSeconds = (rangeEnd ?? getTotalSeconds()) - rangeStart;
+                             if (job && totalSeconds > 0) {
+                                 job.reportProgress((video.currentTime - rangeStart) / totalSeconds);
+                             }
+                             
+                             // Optimized memory management for MacBook performance
+                             if (frameCount % 300 === 0 && window.gc) {
+                                 window.gc(); // More frequent garbage collection for better MacBook performance
+                             }
+                             
+                             // Yield control to browser for smoother performance
+                             if (frameCount % 60 === 0) {
+                                 // Use setTimeout to yield control without blocking
+                                 setTimeout(() => {}, 0);
+                             }
+                             
+                         } catch (drawError) {
+                             console.warn('Frame draw error:', drawError);
+                         }
+                     }
+                     
+                     requestAnimationFrame(renderFrame);
+                 };
+                 
+                 // Remove ontimeupdate as we're using requestAnimationFrame for better control
+                 // video.ontimeupdate = renderFrame;
+                
+                // Start playback
+                const startPlayback = () => video.play().catch(playError => {
+                    // Autoplay rules can block unmuted playback - crop without sound rather than fail
+                    if (!video.muted && playError.name === 'NotAllowedError') {
+                        console.warn('Unmuted playback was blocked, the cropped video will be silent');
+                        video.muted = true;
+                        return startPlayback();
+                    }
+                    if (recorder.state !== 'inactive') {
+                        recorder.onstop = null;
+                        recorder.stop();
+                    }
+                    finish(new Error('Failed to play video: ' + playError.message));
+                });
+                
+                const beginCapture = () => {
+                    if (settled) return;
+                    
+                    // Start recording with optimized data collection for MacBook
+                    recorder.start(250); // Collect data every 250ms for faster processing on MacBook
+                    
+                    // Start the render loop with proper timing
+                    requestAnimationFrame(renderFrame);
+                    startPlayback();
+                };
+                
+                // Seek to the in point first so nothing before it ends up in the output
+                if (rangeStart > 0) {
+                    video.addEventListener('seeked', beginCapture, { once: true });
+                    video.currentTime = rangeStart;
+                } else {
+                    beginCapture();
+                }
+                
+            } catch (setupError) {
+                 finish(new Error('Setup failed: ' + setupError.message));
+             }
+         };
+         
+         video.onerror = (event) => {
+             finish(new Error('Failed to load video. The file may be corrupted or too large.'));
+         };
+         
+         video.onabort = () => {
+             finish(new Error('Video loading was aborted.'));
+         };
+    });
+}
+
+// Matroska element IDs used by the WebM reader/writer below
+const EBML_IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    FlagLacing: 0x9C,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    BitDepth: 0x6264,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    Position: 0xA7,
+    PrevSize: 0xAB,
+    SimpleBlock: 0xA3,
+    BlockGroup: 0xA0,
+    Block: 0xA1,
+    BlockDuration: 0x9B,
+    ReferenceBlock: 0xFB,
+    Void: 0xEC,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+// Elements that can appear inside a Cluster - anything else ends an unknown-size cluster
+const EBML_CLUSTER_CHILD_IDS = new Set([
+    EBML_IDS.Timecode, EBML_IDS.Position, EBML_IDS.PrevSize,
+    EBML_IDS.SimpleBlock, EBML_IDS.BlockGroup, EBML_IDS.Void
+]);
+
+// Minimal WebM/Matroska reader: track info plus the timestamp, key flag and bytes of every frame.
+// Copes with the unknown-size Segment and Cluster elements MediaRecorder writes while streaming,
+// and with files that simply stop mid-cluster (e.g. recovered after a crash).
+class WebMDemuxer {
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.docType = 'webm';
+        this.timecodeScale = 1000000; // nanoseconds per timecode unit
+        this.duration = null;         // seconds, if the file declares it
+        this.tracks = [];
+        this.frames = [];             // { track, timestamp (µs), keyframe, data }
+    }
+
+    parse() {
+        let pos = 0;
+        while (pos < this.bytes.length) {
+            const header = this.readElementHeader(pos);
+            if (!header) break;
+            
+            if (header.id === EBML_IDS.EBML) {
+                this.parseEBMLHeader(header);
+            } else if (header.id === EBML_IDS.Segment) {
+                this.parseSegment(header.dataStart, this.clampEnd(header));
+                break;
+            } else if (header.size === -1) {
+                break;
+            }
+            pos = header.end;
+        }
         
-        recordingsList.innerHTML = `
-            <div style="margin-bottom: 15px; padding: 10px; background: #2a2a2a; border-radius: 4px; border: 1px solid #404040;">
-                <strong>Storage Usage: ${totalSizeMB}/1024 MB (${recordings.length} recordings)</strong>
-            </div>
-        `;
+        if (this.tracks.length === 0) {
+            throw new Error('Not a readable WebM file (no tracks found)');
+        }
+        return this;
+    }
+
+    get videoTrack() {
+        return this.tracks.find(track => track.type === 1) || null;
+    }
+
+    get audioTrack() {
+        return this.tracks.find(track => track.type === 2) || null;
+    }
+
+    framesForTrack(trackNumber) {
+        return this.frames.filter(frame => frame.track === trackNumber);
+    }
+
+    // Sizes use a length marker; an all-ones value means "unknown size"
+    readVint(pos) {
+        const first = this.bytes[pos];
+        if (first === undefined || first === 0) return null;
         
-        // Sort by timestamp (newest first)
-        recordings.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        let length = 1;
+        let mask = 0x80;
+        while (!(first & mask)) {
+            length++;
+            mask >>= 1;
+        }
+        if (pos + length > this.bytes.length) return null;
         
-        recordings.forEach((recording, index) => {
-            const recordingDiv = document.createElement('div');
-            recordingDiv.className = 'recording-item';
-            recordingDiv.setAttribute('data-recording-id', recording.id); // Add this for rename function
-            
-            const sizeInMB = (recording.size / (1024 * 1024)).toFixed(1);
-            const date = new Date(recording.timestamp).toLocaleString();
-            const sourceInfo = `${recording.format?.toUpperCase() || 'WEBM'} | ${recording.quality || '720p'}`;
-            
-            // Mini thumbnail (not clickable)
-            let thumbnailHtml = '';
-            if (recording.screenshot) {
-                thumbnailHtml = `
-                    <img src="${recording.screenshot}" 
-                         alt="Recording thumbnail" 
-                         class="thumbnail-image"
-                         title="Recording preview">
-                `;
+        let value = first & (mask - 1);
+        let allOnes = value === mask - 1;
+        for (let i = 1; i < length; i++) {
+            const byte = this.bytes[pos + i];
+            value = value * 256 + byte;
+            if (byte !== 0xFF) allOnes = false;
+        }
+        return { value: allOnes ? -1 : value, length };
+    }
+
+    // IDs keep their length marker, which is how the spec writes them
+    readId(pos) {
+        const first = this.bytes[pos];
+        if (first === undefined || first < 0x10) return null;
+        
+        const length = first >= 0x80 ? 1 : first >= 0x40 ? 2 : first >= 0x20 ? 3 : 4;
+        if (pos + length > this.bytes.length) return null;
+        
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+            value = value * 256 + this.bytes[pos + i];
+        }
+        return { value, length };
+    }
+
+    readElementHeader(pos) {
+        const id = this.readId(pos);
+        if (!id) return null;
+        const size = this.readVint(pos + id.length);
+        if (!size) return null;
+        
+        const dataStart = pos + id.length + size.length;
+        return {
+            id: id.value,
+            start: pos,
+            size: size.value,
+            dataStart,
+            end: size.value === -1 ? this.bytes.length : dataStart + size.value
+        };
+    }
+
+    clampEnd(header) {
+        return Math.min(header.end, this.bytes.length);
+    }
+
+    readUint(start, end) {
+        let value = 0;
+        for (let i = start; i < end; i++) {
+            value = value * 256 + this.bytes[i];
+        }
+        return value;
+    }
+
+    readFloat(start, end) {
+        if (end - start === 4) return this.view.getFloat32(start);
+        if (end - start === 8) return this.view.getFloat64(start);
+        return 0;
+    }
+
+    readString(start, end) {
+        return new TextDecoder().decode(this.bytes.subarray(start, end)).replace(/\0+$/, '');
+    }
+
+    // Walk the direct children of an element, calling visit(header) for each
+    forEachChild(start, end, visit) {
+        let pos = start;
+        while (pos < end) {
+            const child = this.readElementHeader(pos);
+            if (!child || child.size === -1) break;
+            visit(child);
+            pos = child.end;
+        }
+    }
+
+    parseEBMLHeader(header) {
+        this.forEachChild(header.dataStart, this.clampEnd(header), child => {
+            if (child.id === EBML_IDS.DocType) {
+                this.docType = this.readString(child.dataStart, child.end);
             }
+        });
+    }
+
+    parseSegment(start, end) {
+        let pos = start;
+        while (pos < end) {
+            const header = this.readElementHeader(pos);
+            if (!header) break;
             
-            // Edited indicator
-            let editedIndicator = '';
-            if (recording.isEdited) {
-                editedIndicator = '<span class="edited-indicator">EDITED</span>';
+            if (header.id === EBML_IDS.Cluster) {
+                pos = this.parseCluster(header, end);
+                continue;
             }
+            if (header.size === -1) break;
             
-            recordingDiv.innerHTML = `
-                <div class="recording-item-content">
-                    ${thumbnailHtml}
-                    <div class="recording-item-info">
-                        <div class="recording-name">
-                            ${recording.filename}
-                            ${editedIndicator}
-                        </div>
-                        <div class="recording-details">
-                            ${sizeInMB} MB • ${formatTime(recording.duration || 0)} • ${date} • ${sourceInfo}
-                        </div>
-                    </div>
-                </div>
-                <div class="recording-item-actions">
-                    <div class="id-input-container">
-                        <label for="id-input-${recording.id}">ID:</label>
-                        <input type="text" 
-                               id="id-input-${recording.id}" 
-                               class="recording-id-input" 
-                               placeholder="Enter ID"
-                               value="${inputStates.get(recording.id)?.value || ''}"
-                               onblur="updateRecordingId(${recording.id}, this.value)">
-                    </div>
-                    <button class="crop-btn" onclick="openCropModal(${recording.id})" title="Crop this video">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M7,17V1H5V5H1V7H5V17A2,2 0 0,0 7,19H17V23H19V19H23V17H19V7H7V17M9,9H17V17H9V9Z" />
-                        </svg>
-                        Crop
-                    </button>
-                    <button class="rename-btn" onclick="renameRecording(${recording.id})" title="Rename this recording">
-                        Rename file
-                    </button>
-                    <button class="download-btn" onclick="downloadRecordingFromDB(${recording.id})">
-                        Download
-                    </button>
-                    <button class="download-btn delete-btn" onclick="deleteRecordingFromDB(${recording.id})">
-                        Delete
-                    </button>
-                </div>
-            `;
-            
-            recordingsList.appendChild(recordingDiv);
+            if (header.id === EBML_IDS.Info) {
+                this.parseInfo(header);
+            } else if (header.id === EBML_IDS.Tracks) {
+                this.parseTracks(header);
+            }
+            pos = header.end;
+        }
+    }
+
+    parseInfo(header) {
+        let rawDuration = null;
+        this.forEachChild(header.dataStart, this.clampEnd(header), child => {
+            if (child.id === EBML_IDS.TimecodeScale) {
+                this.timecodeScale = this.readUint(child.dataStart, child.end);
+            } else if (child.id === EBML_IDS.Duration) {
+                rawDuration = this.readFloat(child.dataStart, child.end);
+            }
+        });
+        if (rawDuration !== null) {
+            this.duration = rawDuration * this.timecodeScale / 1e9;
+        }
+    }
+
+    parseTracks(header) {
+        this.forEachChild(header.dataStart, this.clampEnd(header), entry => {
+            if (entry.id !== EBML_IDS.TrackEntry) return;
             
-            // Restore input state if it existed
-            const storedState = inputStates.get(recording.id);
-            if (storedState) {
-                const newInput = document.getElementById(`id-input-${recording.id}`);
-                if (newInput) {
-                    // Restore duplicate class if it was present
-                    if (storedState.hasDuplicateClass) {
-                        newInput.classList.add('duplicate');
-                    }
-                    
-                    // Restore focus and selection if it was focused
-                    if (storedState.focused) {
-                        setTimeout(() => {
-                            newInput.focus();
-                            newInput.setSelectionRange(storedState.selectionStart, storedState.selectionEnd);
-                        }, 0);
-                    }
+            const track = { number: 0, type: 0, codecId: '', codecPrivate: null };
+            this.forEachChild(entry.dataStart, entry.end, child => {
+                switch (child.id) {
+                    case EBML_IDS.TrackNumber: track.number = this.readUint(child.dataStart, child.end); break;
+                    case EBML_IDS.TrackType: track.type = this.readUint(child.dataStart, child.end); break;
+                    case EBML_IDS.CodecID: track.codecId = this.readString(child.dataStart, child.end); break;
+                    case EBML_IDS.CodecPrivate: track.codecPrivate = this.bytes.subarray(child.dataStart, child.end); break;
+                    case EBML_IDS.CodecDelay: track.codecDelay = this.readUint(child.dataStart, child.end); break;
+                    case EBML_IDS.SeekPreRoll: track.seekPreRoll = this.readUint(child.dataStart, child.end); break;
+                    case EBML_IDS.DefaultDuration: track.defaultDuration = this.readUint(child.dataStart, child.end); break;
+                    case EBML_IDS.Video:
+                        this.forEachChild(child.dataStart, child.end, video => {
+                            if (video.id === EBML_IDS.PixelWidth) track.width = this.readUint(video.dataStart, video.end);
+                            if (video.id === EBML_IDS.PixelHeight) track.height = this.readUint(video.dataStart, video.end);
+                        });
+                        break;
+                    case EBML_IDS.Audio:
+                        this.forEachChild(child.dataStart, child.end, audio => {
+                            if (audio.id === EBML_IDS.SamplingFrequency) track.sampleRate = this.readFloat(audio.dataStart, audio.end);
+                            if (audio.id === EBML_IDS.Channels) track.channels = this.readUint(audio.dataStart, audio.end);
+                            if (audio.id === EBML_IDS.BitDepth) track.bitDepth = this.readUint(audio.dataStart, audio.end);
+                        });
+                        break;
                 }
-            }
+            });
+            this.tracks.push(track);
         });
+    }
+
+    // Returns where parsing should continue; unknown-size clusters end at the next non-cluster element
+    parseCluster(header, segmentEnd) {
+        const end = Math.min(header.size === -1 ? segmentEnd : header.end, segmentEnd);
+        let clusterTimecode = 0;
+        let pos = header.dataStart;
         
-    } catch (error) {
-            console.error('Failed to load recordings:', error);
-            document.getElementById('recordings-list').innerHTML = '<p>Error loading recordings.</p>';
+        while (pos < end) {
+            const child = this.readElementHeader(pos);
+            if (!child) return end;
+            if (header.size === -1 && !EBML_CLUSTER_CHILD_IDS.has(child.id)) return pos;
+            // A truncated last block (crashed recording) is dropped
+            if (child.size === -1 || child.end > this.bytes.length) return end;
+            
+            if (child.id === EBML_IDS.Timecode) {
+                clusterTimecode = this.readUint(child.dataStart, child.end);
+            } else if (child.id === EBML_IDS.SimpleBlock) {
+                this.addBlock(child.dataStart, child.end, clusterTimecode, null);
+            } else if (child.id === EBML_IDS.BlockGroup) {
+                let block = null;
+                let hasReference = false;
+                this.forEachChild(child.dataStart, child.end, groupChild => {
+                    if (groupChild.id === EBML_IDS.Block) block = groupChild;
+                    if (groupChild.id === EBML_IDS.ReferenceBlock) hasReference = true;
+                });
+                if (block) {
+                    this.addBlock(block.dataStart, block.end, clusterTimecode, !hasReference);
+                }
+            }
+            pos = child.end;
         }
+        return end;
+    }
+
+    addBlock(start, end, clusterTimecode, keyframeOverride) {
+        const trackNumber = this.readVint(start);
+        if (!trackNumber) return;
         
-        // Update compiler table when recordings change
-        if (typeof updateCompilerTable === 'function') {
-            updateCompilerTable();
+        let pos = start + trackNumber.length;
+        const relativeTimecode = this.view.getInt16(pos);
+        const flags = this.bytes[pos + 2];
+        pos += 3;
+        
+        if (flags & 0x06) {
+            throw new Error('Laced WebM blocks are not supported');
         }
+        
+        this.frames.push({
+            track: trackNumber.value,
+            timestamp: Math.round((clusterTimecode + relativeTimecode) * this.timecodeScale / 1000),
+            keyframe: keyframeOverride === null ? Boolean(flags & 0x80) : keyframeOverride,
+            data: this.bytes.subarray(pos, end)
+        });
     }
+}
 
-async function downloadRecordingFromDB(id) {
-    try {
-        const recordings = await stateManager.dbManager.getAllRecordings();
-        const recording = recordings.find(r => r.id === id);
-        
-        if (recording && recording.blob) {
-            const url = URL.createObjectURL(recording.blob);
-            const a = document.createElement('a');
-            a.href = url;
-            
-            // Sanitize filename only for download, preserve URLs in display
-            const sanitizedFilename = sanitizeForDownload(recording.filename);
-            a.download = sanitizedFilename;
-            
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            stateManager.showAlert('Download started');
-        } else {
-            stateManager.showAlert('Recording not found', 'error');
+// Builders for EBML elements. A node is { parts: Uint8Array[], length } so frame data
+// can be referenced rather than copied until the final Blob is assembled.
+const EBMLWriter = {
+    id(id) {
+        const bytes = [];
+        let value = id;
+        while (value > 0) {
+            bytes.unshift(value & 0xFF);
+            value = Math.floor(value / 256);
         }
-    } catch (error) {
-        console.error('Download failed:', error);
-        stateManager.showAlert('Download failed', 'error');
+        return new Uint8Array(bytes);
+    },
+
+    size(value) {
+        let length = 1;
+        while (length < 8 && value >= Math.pow(2, 7 * length) - 1) {
+            length++;
+        }
+        const bytes = new Uint8Array(length);
+        let remaining = value;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = remaining % 256;
+            remaining = Math.floor(remaining / 256);
+        }
+        bytes[0] |= 0x80 >> (length - 1);
+        return bytes;
+    },
+
+    element(id, children) {
+        const parts = [];
+        let length = 0;
+        children.forEach(child => {
+            if (!child) return;
+            if (child instanceof Uint8Array) {
+                parts.push(child);
+                length += child.length;
+            } else {
+                parts.push(...child.parts);
+                length += child.length;
+            }
+        });
+        const idBytes = EBMLWriter.id(id);
+        const sizeBytes = EBMLWriter.size(length);
+        return {
+            parts: [idBytes, sizeBytes, ...parts],
+            length: idBytes.length + sizeBytes.length + length
+        };
+    },
+
+    // Fixed-width unsigned int, for values that must not change the element's size once laid out
+    uintFixed(id, value, length) {
+        const bytes = new Uint8Array(length);
+        let remaining = Math.max(0, Math.floor(value));
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = remaining % 256;
+            remaining = Math.floor(remaining / 256);
+        }
+        return EBMLWriter.element(id, [bytes]);
+    },
+
+    uint(id, value) {
+        const bytes = [];
+        let remaining = Math.max(0, Math.floor(value));
+        do {
+            bytes.unshift(remaining % 256);
+            remaining = Math.floor(remaining / 256);
+        } while (remaining > 0);
+        return EBMLWriter.element(id, [new Uint8Array(bytes)]);
+    },
+
+    float(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return EBMLWriter.element(id, [bytes]);
+    },
+
+    string(id, value) {
+        return EBMLWriter.element(id, [new TextEncoder().encode(value)]);
+    },
+
+    binary(id, data) {
+        return EBMLWriter.element(id, [data]);
     }
-}
+};
 
-async function deleteRecordingFromDB(id) {
-    try {
-        await stateManager.dbManager.deleteRecording(id);
-        await loadSavedRecordings();
-        // Update compiler table in real-time
-        if (typeof updateCompilerTable === 'function') {
-            updateCompilerTable();
-        }
-        stateManager.showAlert('Recording deleted');
-    } catch (error) {
-        console.error('Delete failed:', error);
-        stateManager.showAlert('Delete failed', 'error');
+// Writes a WebM/Matroska file with known element sizes and a real duration.
+// Frames can be added in any order; clusters start on video keyframes.
+class WebMMuxer {
+    constructor({ docType = 'webm', tracks }) {
+        this.docType = docType;
+        this.tracks = tracks; // { number, type, codecId, codecPrivate?, width?, height?, sampleRate?, channels?, ... }
+        this.frames = [];
     }
-}
 
-async function renameRecording(id) {
-    try {
-        const recordings = await stateManager.dbManager.getAllRecordings();
-        const recording = recordings.find(r => r.id === id);
+    addFrame(trackNumber, { timestamp, keyframe, data }) {
+        this.frames.push({ track: trackNumber, timestamp, keyframe, data });
+    }
+
+    finalize(mimeType = this.docType === 'webm' ? 'video/webm' : 'video/x-matroska') {
+        const info = this.buildInfo();
+        const tracks = this.buildTracks();
+        const clusters = this.buildClusters();
         
-        if (!recording) {
-            stateManager.showAlert('Recording not found', 'error');
-            return;
-        }
+        // Positions are relative to the start of the Segment's data. The SeekHead uses
+        // fixed-width positions so its size is known before the positions are.
+        const seekHeadLength = this.buildSeekHead(0, 0, 0).length;
+        const infoPosition = seekHeadLength;
+        const tracksPosition = infoPosition + info.length;
+        let position = tracksPosition + tracks.length;
+        clusters.forEach(cluster => {
+            cluster.position = position;
+            position += cluster.node.length;
+        });
         
-        // Find the recording item in the DOM
-        const recordingItem = document.querySelector(`[data-recording-id="${id}"]`);
-        if (!recordingItem) {
-            stateManager.showAlert('Recording element not found', 'error');
-            return;
-        }
+        const cues = this.buildCues(clusters);
+        const segment = EBMLWriter.element(EBML_IDS.Segment, [
+            this.buildSeekHead(infoPosition, tracksPosition, position),
+            info,
+            tracks,
+            ...clusters.map(cluster => cluster.node),
+            cues
+        ]);
         
-        // Find the filename display element
-        const filenameElement = recordingItem.querySelector('.recording-name');
-        if (!filenameElement) {
-            stateManager.showAlert('Filename element not found', 'error');
-            return;
-        }
+        return new Blob([...this.buildHeader().parts, ...segment.parts], { type: mimeType });
+    }
+
+    buildSeekHead(infoPosition, tracksPosition, cuesPosition) {
+        const seek = (id, position) => EBMLWriter.element(EBML_IDS.Seek, [
+            EBMLWriter.binary(EBML_IDS.SeekID, EBMLWriter.id(id)),
+            EBMLWriter.uintFixed(EBML_IDS.SeekPosition, position, 8)
+        ]);
+        return EBMLWriter.element(EBML_IDS.SeekHead, [
+            seek(EBML_IDS.Info, infoPosition),
+            seek(EBML_IDS.Tracks, tracksPosition),
+            seek(EBML_IDS.Cues, cuesPosition)
+        ]);
+    }
+
+    // One cue per cluster that starts with a video keyframe (every cluster for audio-only files)
+    buildCues(clusters) {
+        const videoTrack = this.tracks.find(track => track.type === 1);
+        const cueTrack = videoTrack || this.tracks[0];
         
-        const currentName = recording.filename.replace(/\.[^/.]+$/, '');
-        const extension = recording.filename.split('.').pop();
+        const cuePoints = clusters
+            .filter(cluster => !videoTrack || cluster.keyframeTimecode !== null)
+            .map(cluster => EBMLWriter.element(EBML_IDS.CuePoint, [
+                EBMLWriter.uint(EBML_IDS.CueTime, videoTrack ? cluster.keyframeTimecode : cluster.timecode),
+                EBMLWriter.element(EBML_IDS.CueTrackPositions, [
+                    EBMLWriter.uint(EBML_IDS.CueTrack, cueTrack.number),
+                    EBMLWriter.uint(EBML_IDS.CueClusterPosition, cluster.position)
+                ])
+            ]));
         
-        // Create inline input for editing
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = currentName;
-        input.className = 'inline-rename-input';
-        input.style.cssText = `
-            background: #2a2a2a;
-            color: #ffffff;
-            border: 1px solid #ff6b35;
-            border-radius: 3px;
-            padding: 4px 8px;
-            font-size: 13px;
-            font-family: inherit;
-            width: 200px;
-            outline: none;
-        `;
+        return EBMLWriter.element(EBML_IDS.Cues, cuePoints);
+    }
+
+    buildHeader() {
+        return EBMLWriter.element(EBML_IDS.EBML, [
+            EBMLWriter.uint(EBML_IDS.EBMLVersion, 1),
+            EBMLWriter.uint(EBML_IDS.EBMLReadVersion, 1),
+            EBMLWriter.uint(EBML_IDS.EBMLMaxIDLength, 4),
+            EBMLWriter.uint(EBML_IDS.EBMLMaxSizeLength, 8),
+            EBMLWriter.string(EBML_IDS.DocType, this.docType),
+            EBMLWriter.uint(EBML_IDS.DocTypeVersion, 4),
+            EBMLWriter.uint(EBML_IDS.DocTypeReadVersion, 2)
+        ]);
+    }
+
+    // Duration in milliseconds (TimecodeScale is 1ms): last frame end across all tracks
+    getDurationMs() {
+        const lastByTrack = new Map();
+        const gapByTrack = new Map();
+        this.frames.forEach(frame => {
+            const previous = lastByTrack.get(frame.track);
+            if (previous !== undefined && frame.timestamp > previous) {
+                gapByTrack.set(frame.track, frame.timestamp - previous);
+            }
+            lastByTrack.set(frame.track, Math.max(previous ?? -Infinity, frame.timestamp));
+        });
         
-        // Replace filename with input
-        filenameElement.style.display = 'none';
-        filenameElement.parentNode.insertBefore(input, filenameElement.nextSibling);
-        input.focus();
-        input.select();
+        let end = 0;
+        lastByTrack.forEach((last, track) => {
+            end = Math.max(end, last + (gapByTrack.get(track) || 0));
+        });
+        return end / 1000;
+    }
+
+    buildInfo() {
+        return EBMLWriter.element(EBML_IDS.Info, [
+            EBMLWriter.uint(EBML_IDS.TimecodeScale, 1000000),
+            EBMLWriter.float(EBML_IDS.Duration, this.getDurationMs()),
+            EBMLWriter.string(EBML_IDS.MuxingApp, 'Omairs Multi-Tab Recorder'),
+            EBMLWriter.string(EBML_IDS.WritingApp, 'Omairs Multi-Tab Recorder')
+        ]);
+    }
+
+    buildTracks() {
+        return EBMLWriter.element(EBML_IDS.Tracks, this.tracks.map(track => {
+            const children = [
+                EBMLWriter.uint(EBML_IDS.TrackNumber, track.number),
+                EBMLWriter.uint(EBML_IDS.TrackUID, track.uid || track.number),
+                EBMLWriter.uint(EBML_IDS.TrackType, track.type),
+                EBMLWriter.uint(EBML_IDS.FlagLacing, 0),
+                EBMLWriter.string(EBML_IDS.CodecID, track.codecId)
+            ];
+            if (track.codecPrivate) children.push(EBMLWriter.binary(EBML_IDS.CodecPrivate, track.codecPrivate));
+            if (track.codecDelay) children.push(EBMLWriter.uint(EBML_IDS.CodecDelay, track.codecDelay));
+            if (track.seekPreRoll) children.push(EBMLWriter.uint(EBML_IDS.SeekPreRoll, track.seekPreRoll));
+            
+            if (track.type === 1) {
+                children.push(EBMLWriter.element(EBML_IDS.Video, [
+                    EBMLWriter.uint(EBML_IDS.PixelWidth, track.width),
+                    EBMLWriter.uint(EBML_IDS.PixelHeight, track.height)
+                ]));
+            } else if (track.type === 2) {
+                children.push(EBMLWriter.element(EBML_IDS.Audio, [
+                    EBMLWriter.float(EBML_IDS.SamplingFrequency, track.sampleRate || 48000),
+                    EBMLWriter.uint(EBML_IDS.Channels, track.channels || 2),
+                    track.bitDepth ? EBMLWriter.uint(EBML_IDS.BitDepth, track.bitDepth) : null
+                ]));
+            }
+            return EBMLWriter.element(EBML_IDS.TrackEntry, children);
+        }));
+    }
+
+    buildClusters() {
+        const videoTrack = this.tracks.find(track => track.type === 1);
+        const frames = this.frames
+            .map((frame, index) => ({ ...frame, order: index }))
+            .sort((a, b) => a.timestamp - b.timestamp || a.order - b.order);
         
-        // Handle save on Enter or blur
-        const saveRename = async () => {
-            const newName = input.value.trim();
+        const clusters = [];
+        let current = null;
+        
+        const closeCluster = () => {
+            if (!current) return;
+            current.node = EBMLWriter.element(EBML_IDS.Cluster, [
+                EBMLWriter.uint(EBML_IDS.Timecode, current.timecode),
+                ...current.blocks
+            ]);
+            clusters.push(current);
+        };
+        
+        frames.forEach(frame => {
+            const timecode = Math.round(frame.timestamp / 1000);
+            const isVideoKeyframe = videoTrack && frame.track === videoTrack.number && frame.keyframe;
             
-            if (newName && newName !== currentName) {
-                console.log(`\n[RENAME OPERATION STARTED]`);
-                console.log(`Original name: "${currentName}"`);
-                console.log(`New name input: "${newName}"`);
-                
-                // Store the original name for display - NO SANITIZATION
-                const displayName = newName;
-                console.log(`Display name (unsanitized): "${displayName}"`);
-                
-                // Validate URL preservation in display name
-                validateUrlPreservation(newName, displayName, 'Rename Display');
-                
-                // Create filename with original unsanitized name
-                const newFilename = `${displayName}.${extension}`;
-                console.log(`Final filename: "${newFilename}"`);
-                
-                // Update the recording with the original unsanitized name
-                recording.filename = newFilename;
-                recording.displayName = displayName; // Store original for display
-                recording.originalInput = newName; // Store what user actually typed
-                
-                console.log(`Stored in database:`);
-                console.log(`- filename: "${recording.filename}"`);
-                console.log(`- displayName: "${recording.displayName}"`);
-                console.log(`- originalInput: "${recording.originalInput}"`);
-                
-                // Delete old and save updated
-                await stateManager.dbManager.deleteRecording(id);
-                await stateManager.dbManager.saveRecording(recording);
-                
-                // Update the display with original name
-                filenameElement.textContent = newFilename;
-                console.log(`UI updated with: "${newFilename}"`);
-                
-                // Validate final result
-                validateUrlPreservation(newName, newFilename, 'Final Rename Result');
-                
-                // Update compiler table in real-time
-                if (typeof updateCompilerTable === 'function') {
-                    updateCompilerTable();
+            // Block timecodes are 16-bit offsets from the cluster, so clusters can't span more than ~32s
+            const needsNewCluster = !current ||
+                timecode - current.timecode > 30000 ||
+                (isVideoKeyframe && current.hasVideo) ||
+                (!videoTrack && timecode - current.timecode >= 5000);
+            
+            if (needsNewCluster) {
+                closeCluster();
+                current = { timecode, blocks: [], hasVideo: false, keyframeTimecode: null };
+            }
+            
+            if (videoTrack && frame.track === videoTrack.number) {
+                if (isVideoKeyframe && current.keyframeTimecode === null) {
+                    current.keyframeTimecode = timecode;
                 }
-                
-                stateManager.showAlert(`Recording renamed to: ${displayName}`, 'success');
-                console.log(`[RENAME OPERATION COMPLETED SUCCESSFULLY]\n`);
+                current.hasVideo = true;
             }
             
-            // Restore original display
-            input.remove();
-            filenameElement.style.display = '';
-        };
+            const blockHeader = new Uint8Array(4);
+            blockHeader[0] = 0x80 | frame.track; // track numbers here are always < 127
+            new DataView(blockHeader.buffer).setInt16(1, timecode - current.timecode);
+            blockHeader[3] = frame.keyframe ? 0x80 : 0x00;
+            current.blocks.push(EBMLWriter.element(EBML_IDS.SimpleBlock, [blockHeader, frame.data]));
+        });
+        closeCluster();
         
-        // Save on Enter key
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                saveRename();
-            } else if (e.key === 'Escape') {
-                // Cancel on Escape
-                input.remove();
-                filenameElement.style.display = '';
+        return clusters;
+    }
+}
+
+// Builders for ISO BMFF (MP4) boxes, using the same { parts, length } nodes as EBMLWriter
+const MP4Writer = {
+    u8(value) {
+        return new Uint8Array([value & 0xFF]);
+    },
+
+    u16(value) {
+        const bytes = new Uint8Array(2);
+        new DataView(bytes.buffer).setUint16(0, value & 0xFFFF);
+        return bytes;
+    },
+
+    u32(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value >>> 0);
+        return bytes;
+    },
+
+    u64(value) {
+        const bytes = new Uint8Array(8);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, Math.floor(value / 4294967296));
+        view.setUint32(4, value % 4294967296);
+        return bytes;
+    },
+
+    zeros(count) {
+        return new Uint8Array(count);
+    },
+
+    ascii(text) {
+        return new TextEncoder().encode(text);
+    },
+
+    box(type, children = []) {
+        const parts = [];
+        let length = 0;
+        children.forEach(child => {
+            if (!child) return;
+            if (child instanceof Uint8Array) {
+                parts.push(child);
+                length += child.length;
+            } else {
+                parts.push(...child.parts);
+                length += child.length;
             }
         });
+        return {
+            parts: [MP4Writer.u32(length + 8), MP4Writer.ascii(type), ...parts],
+            length: length + 8
+        };
+    },
+
+    fullBox(type, version, flags, children = []) {
+        return MP4Writer.box(type, [
+            new Uint8Array([version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF]),
+            ...children
+        ]);
+    },
+
+    // Unity matrix used by mvhd and tkhd
+    matrix() {
+        return new Uint8Array([
+            0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+            0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0,
+            0, 0, 0, 0, 0, 0, 0, 0, 0x40, 0, 0, 0
+        ]);
+    }
+};
+
+// Writes a fragmented MP4: an empty moov describing the tracks, then moof/mdat pairs.
+// Tracks: { id, kind: 'video' | 'audio', timescale, sampleEntry (box node), width?, height? }
+class FragmentedMP4Muxer {
+    constructor({ tracks }) {
+        this.tracks = tracks;
+        this.samples = new Map(tracks.map(track => [track.id, []]));
+    }
+
+    addSample(trackId, { timestamp, keyframe, data }) {
+        this.samples.get(trackId).push({ timestamp, keyframe, data });
+    }
+
+    finalize() {
+        const prepared = this.tracks.map(track => this.prepareTrack(track));
+        const durationMs = Math.max(0, ...prepared.map(track => track.durationSeconds * 1000));
         
-        // Save on blur (clicking away)
-        input.addEventListener('blur', saveRename);
+        const ftyp = MP4Writer.box('ftyp', [
+            MP4Writer.ascii('isom'),
+            MP4Writer.u32(0x200),
+            MP4Writer.ascii('isom'),
+            MP4Writer.ascii('iso6'),
+            MP4Writer.ascii('mp41'),
+            ...(this.tracks.some(track => track.codec === 'avc1') ? [MP4Writer.ascii('avc1')] : [])
+        ]);
         
-    } catch (error) {
-        console.error('Rename failed:', error);
-        stateManager.showAlert('Rename failed', 'error');
+        const parts = [...ftyp.parts, ...this.buildMoov(prepared, durationMs).parts];
+        this.buildFragments(prepared).forEach(node => parts.push(...node.parts));
+        
+        return new Blob(parts, { type: 'video/mp4' });
     }
-}
 
-// Simple crop functionality
-let currentCropSession = null;
+    // Timestamps in the track's timescale, plus per-sample durations
+    prepareTrack(track) {
+        const samples = this.samples.get(track.id).slice().sort((a, b) => a.timestamp - b.timestamp);
+        const times = samples.map(sample => Math.round(sample.timestamp * track.timescale / 1000000));
+        const defaultDuration = Math.round(track.timescale * (track.kind === 'audio' ? 0.02 : 1 / 30));
+        
+        const prepared = samples.map((sample, index) => {
+            const next = times[index + 1];
+            const previousGap = index > 0 ? times[index] - times[index - 1] : defaultDuration;
+            return {
+                ...sample,
+                time: times[index],
+                duration: next !== undefined ? Math.max(1, next - times[index]) : Math.max(1, previousGap)
+            };
+        });
+        
+        const end = prepared.length > 0 ? prepared[prepared.length - 1].time + prepared[prepared.length - 1].duration : 0;
+        return { track, samples: prepared, durationUnits: end, durationSeconds: end / track.timescale };
+    }
 
-// Simple Crop Modal Functions
-async function openCropModal(recordingId) {
-    try {
-        const recordings = await stateManager.dbManager.getAllRecordings();
-        const recording = recordings.find(r => r.id === recordingId);
+    buildMoov(prepared, durationMs) {
+        const mvhd = MP4Writer.fullBox('mvhd', 0, 0, [
+            MP4Writer.u32(0), MP4Writer.u32(0),      // creation / modification time
+            MP4Writer.u32(1000),                     // timescale
+            MP4Writer.u32(Math.round(durationMs)),
+            MP4Writer.u32(0x00010000),               // rate 1.0
+            MP4Writer.u16(0x0100),                   // volume 1.0
+            MP4Writer.zeros(10),
+            MP4Writer.matrix(),
+            MP4Writer.zeros(24),
+            MP4Writer.u32(this.tracks.length + 1)    // next track ID
+        ]);
         
-        if (!recording || !recording.blob) {
-            stateManager.showAlert('Recording not found', 'error');
-            return;
-        }
+        const traks = prepared.map(({ track, durationUnits }) => this.buildTrak(track, durationUnits, durationMs));
         
-        // Set up video element
-        const video = document.getElementById('crop-video');
-        video.src = URL.createObjectURL(recording.blob);
+        const mvex = MP4Writer.box('mvex', [
+            MP4Writer.fullBox('mehd', 0, 0, [MP4Writer.u32(Math.round(durationMs))]),
+            ...this.tracks.map(track => MP4Writer.fullBox('trex', 0, 0, [
+                MP4Writer.u32(track.id),
+                MP4Writer.u32(1), // sample description index
+                MP4Writer.u32(0), MP4Writer.u32(0), MP4Writer.u32(0)
+            ]))
+        ]);
         
-        // Store current session
-        currentCropSession = {
-            recordingId: recordingId,
-            recording: recording,
-            videoElement: video,
-            isDragging: false,
-            startX: 0,
-            startY: 0,
-            cropRect: { x: 0, y: 0, width: 200, height: 150 }
-        };
+        return MP4Writer.box('moov', [mvhd, ...traks, mvex]);
+    }
+
+    buildTrak(track, durationUnits, durationMs) {
+        const isVideo = track.kind === 'video';
         
-        // Show modal
-        document.getElementById('crop-modal').style.display = 'block';
+        const tkhd = MP4Writer.fullBox('tkhd', 0, 0x3, [ // enabled, in movie
+            MP4Writer.u32(0), MP4Writer.u32(0),
+            MP4Writer.u32(track.id),
+            MP4Writer.u32(0),
+            MP4Writer.u32(Math.round(durationMs)),
+            MP4Writer.zeros(8),
+            MP4Writer.u16(0), MP4Writer.u16(0),      // layer, alternate group
+            MP4Writer.u16(isVideo ? 0 : 0x0100),     // volume
+            MP4Writer.u16(0),
+            MP4Writer.matrix(),
+            MP4Writer.u32((isVideo ? track.width : 0) * 65536),
+            MP4Writer.u32((isVideo ? track.height : 0) * 65536)
+        ]);
         
-        // Set up drag functionality when video loads
-        video.onloadedmetadata = () => {
-            setupCropDragging();
-            updateCropSelection();
-        };
+        const mdhd = MP4Writer.fullBox('mdhd', 0, 0, [
+            MP4Writer.u32(0), MP4Writer.u32(0),
+            MP4Writer.u32(track.timescale),
+            MP4Writer.u32(durationUnits),
+            MP4Writer.u16(0x55C4),                   // language 'und'
+            MP4Writer.u16(0)
+        ]);
         
-        stateManager.showAlert('Crop tool loaded. Drag to select crop area or use input fields.');
+        const hdlr = MP4Writer.fullBox('hdlr', 0, 0, [
+            MP4Writer.u32(0),
+            MP4Writer.ascii(isVideo ? 'vide' : 'soun'),
+            MP4Writer.zeros(12),
+            MP4Writer.ascii(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+        ]);
         
-    } catch (error) {
-        console.error('Failed to open crop modal:', error);
-        stateManager.showAlert('Failed to open crop tool: ' + error.message, 'error');
+        const mediaHeader = isVideo
+            ? MP4Writer.fullBox('vmhd', 0, 1, [MP4Writer.zeros(8)])
+            : MP4Writer.fullBox('smhd', 0, 0, [MP4Writer.zeros(4)]);
+        
+        const dinf = MP4Writer.box('dinf', [
+            MP4Writer.fullBox('dref', 0, 0, [
+                MP4Writer.u32(1),
+                MP4Writer.fullBox('url ', 0, 1) // media is in this file
+            ])
+        ]);
+        
+        // Sample tables stay empty - every sample is described by the fragments
+        const stbl = MP4Writer.box('stbl', [
+            MP4Writer.fullBox('stsd', 0, 0, [MP4Writer.u32(1), track.sampleEntry]),
+            MP4Writer.fullBox('stts', 0, 0, [MP4Writer.u32(0)]),
+            MP4Writer.fullBox('stsc', 0, 0, [MP4Writer.u32(0)]),
+            MP4Writer.fullBox('stsz', 0, 0, [MP4Writer.u32(0), MP4Writer.u32(0)]),
+            MP4Writer.fullBox('stco', 0, 0, [MP4Writer.u32(0)])
+        ]);
+        
+        return MP4Writer.box('trak', [
+            tkhd,
+            MP4Writer.box('mdia', [mdhd, hdlr, MP4Writer.box('minf', [mediaHeader, dinf, stbl])])
+        ]);
     }
-}
 
-// Set up draggable crop selection
-function setupCropDragging() {
-    const videoContainer = document.querySelector('.crop-video-container');
-    const video = document.getElementById('crop-video');
-    const overlay = document.getElementById('crop-overlay');
-    const selection = document.getElementById('crop-selection');
-    
-    if (!videoContainer || !video || !overlay || !selection) return;
-    
-    // Initialize crop selection in center of video with 16:9 aspect ratio
-    const videoRect = video.getBoundingClientRect();
-    const containerRect = videoContainer.getBoundingClientRect();
-    
-    // Calculate 16:9 crop area that fits within the video
-    const aspectRatio = 16 / 9;
-    let cropWidth = videoRect.width * 0.6;
-    let cropHeight = cropWidth / aspectRatio;
-    
-    // If height is too large, adjust based on height
-    if (cropHeight > videoRect.height * 0.6) {
-        cropHeight = videoRect.height * 0.6;
-        cropWidth = cropHeight * aspectRatio;
+    // One fragment per video keyframe (at least a second apart) so each can be decoded on its own
+    buildFragments(prepared) {
+        const videoTrack = prepared.find(entry => entry.track.kind === 'video');
+        const boundaries = [];
+        
+        if (videoTrack) {
+            let lastBoundary = -Infinity;
+            videoTrack.samples.forEach(sample => {
+                if (sample.keyframe && sample.timestamp - lastBoundary >= 1000000) {
+                    boundaries.push(sample.timestamp);
+                    lastBoundary = sample.timestamp;
+                }
+            });
+        }
+        if (boundaries.length === 0) {
+            const lastTimestamp = Math.max(0, ...prepared.map(entry => entry.samples.length ? entry.samples[entry.samples.length - 1].timestamp : 0));
+            for (let t = 0; t <= lastTimestamp; t += 1000000) boundaries.push(t);
+        }
+        boundaries[0] = -Infinity; // anything before the first keyframe joins the first fragment
+        
+        const fragments = [];
+        let sequenceNumber = 0;
+        boundaries.forEach((start, index) => {
+            const end = index + 1 < boundaries.length ? boundaries[index + 1] : Infinity;
+            const trackRuns = prepared
+                .map(entry => ({
+                    track: entry.track,
+                    samples: entry.samples.filter(sample => sample.timestamp >= start && sample.timestamp < end)
+                }))
+                .filter(run => run.samples.length > 0);
+            
+            if (trackRuns.length > 0) {
+                fragments.push(...this.buildFragment(++sequenceNumber, trackRuns));
+            }
+        });
+        return fragments;
+    }
+
+    buildFragment(sequenceNumber, trackRuns) {
+        // trun data offsets point into the mdat, so build the moof once to learn its size
+        const buildMoof = (dataOffsets) => MP4Writer.box('moof', [
+            MP4Writer.fullBox('mfhd', 0, 0, [MP4Writer.u32(sequenceNumber)]),
+            ...trackRuns.map((run, index) => MP4Writer.box('traf', [
+                MP4Writer.fullBox('tfhd', 0, 0x020000, [MP4Writer.u32(run.track.id)]), // default-base-is-moof
+                MP4Writer.fullBox('tfdt', 1, 0, [MP4Writer.u64(run.samples[0].time)]),
+                MP4Writer.fullBox('trun', 0, 0x000701, [                               // offset, duration, size, flags
+                    MP4Writer.u32(run.samples.length),
+                    MP4Writer.u32(dataOffsets[index]),
+                    ...run.samples.flatMap(sample => [
+                        MP4Writer.u32(sample.duration),
+                        MP4Writer.u32(sample.data.length),
+                        MP4Writer.u32(run.track.kind === 'audio' || sample.keyframe ? 0x02000000 : 0x01010000)
+                    ])
+                ])
+            ]))
+        ]);
+        
+        const moofSize = buildMoof(trackRuns.map(() => 0)).length;
+        const dataOffsets = [];
+        let offset = moofSize + 8; // past the mdat header
+        trackRuns.forEach(run => {
+            dataOffsets.push(offset);
+            offset += run.samples.reduce((total, sample) => total + sample.data.length, 0);
+        });
+        
+        const mdat = MP4Writer.box('mdat', trackRuns.flatMap(run => run.samples.map(sample => sample.data)));
+        return [buildMoof(dataOffsets), mdat];
     }
-    
-    currentCropSession.cropRect = {
-        x: (videoRect.width - cropWidth) / 2,
-        y: (videoRect.height - cropHeight) / 2,
-        width: cropWidth,
-        height: cropHeight
-    };
-    
-    updateCropSelection();
-    
-    // Mouse events for dragging
-    overlay.addEventListener('mousedown', startDrag);
-    document.addEventListener('mousemove', drag);
-    document.addEventListener('mouseup', endDrag);
-    
-    // Touch events for mobile
-    overlay.addEventListener('touchstart', startDrag);
-    document.addEventListener('touchmove', drag);
-    document.addEventListener('touchend', endDrag);
 }
 
-function startDrag(e) {
-    if (!currentCropSession) return;
-    
-    e.preventDefault();
-    const rect = e.currentTarget.getBoundingClientRect();
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-    
-    // Store initial mouse position for drag threshold
-    currentCropSession.initialMouseX = clientX;
-    currentCropSession.initialMouseY = clientY;
-    currentCropSession.dragStarted = false;
-    currentCropSession.isDragging = true;
-    currentCropSession.startX = clientX - rect.left;
-    currentCropSession.startY = clientY - rect.top;
-    
-    // Add visual feedback for drag start
-    const overlay = document.getElementById('crop-overlay');
-    overlay.style.cursor = 'crosshair';
-    
-    // Start new selection
-    currentCropSession.cropRect = {
-        x: currentCropSession.startX,
-        y: currentCropSession.startY,
-        width: 0,
-        height: 0
-    };
-    
-    updateCropSelection();
+// Split an Annex B H.264 access unit into NAL units (without start codes)
+function splitAnnexBNalUnits(data) {
+    const units = [];
+    let start = -1;
+    let i = 0;
+    while (i + 2 < data.length) {
+        if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+            if (start >= 0) {
+                let end = i;
+                if (end > start && data[end - 1] === 0) end--; // 4-byte start code
+                units.push(data.subarray(start, end));
+            }
+            i += 3;
+            start = i;
+        } else {
+            i++;
+        }
+    }
+    if (start >= 0) units.push(data.subarray(start));
+    return units;
 }
 
-function drag(e) {
-    if (!currentCropSession || !currentCropSession.isDragging) return;
-    
-    e.preventDefault();
-    const overlay = document.getElementById('crop-overlay');
-    const rect = overlay.getBoundingClientRect();
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+function isAnnexB(data) {
+    return data.length > 3 && data[0] === 0 && data[1] === 0 && (data[2] === 1 || (data[2] === 0 && data[3] === 1));
+}
+
+// MP4 wants 4-byte length prefixes instead of start codes; access unit delimiters are dropped
+function annexBToLengthPrefixed(data) {
+    const units = splitAnnexBNalUnits(data).filter(unit => unit.length > 0 && (unit[0] & 0x1F) !== 9);
+    const output = new Uint8Array(units.reduce((total, unit) => total + 4 + unit.length, 0));
+    const view = new DataView(output.buffer);
+    let offset = 0;
+    units.forEach(unit => {
+        view.setUint32(offset, unit.length);
+        output.set(unit, offset + 4);
+        offset += 4 + unit.length;
+    });
+    return output;
+}
+
+// avcC record built from the SPS/PPS in the first keyframe
+function buildAvcDecoderConfig(keyframeData) {
+    const units = splitAnnexBNalUnits(keyframeData);
+    const sps = units.filter(unit => (unit[0] & 0x1F) === 7);
+    const pps = units.filter(unit => (unit[0] & 0x1F) === 8);
+    if (sps.length === 0 || pps.length === 0) {
+        throw new Error('H.264 stream has no SPS/PPS in its first keyframe');
+    }
     
-    const currentX = clientX - rect.left;
-    const currentY = clientY - rect.top;
+    const parts = [
+        new Uint8Array([1, sps[0][1], sps[0][2], sps[0][3], 0xFF, 0xE0 | sps.length])
+    ];
+    sps.forEach(unit => parts.push(MP4Writer.u16(unit.length), unit));
+    parts.push(new Uint8Array([pps.length]));
+    pps.forEach(unit => parts.push(MP4Writer.u16(unit.length), unit));
     
-    // Calculate raw dimensions first
-    let rawWidth = Math.abs(currentX - currentCropSession.startX);
-    let rawHeight = Math.abs(currentY - currentCropSession.startY);
+    const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        output.set(part, offset);
+        offset += part.length;
+    });
+    return output;
+}
+
+// Lowest VP9 level (as 10 × level) whose picture size and sample rate fit the stream, per the VP9 level table
+function getVp9Level(width, height, frames) {
+    const levels = [
+        [10, 36864, 829440], [11, 73728, 2764800], [20, 122880, 4608000], [21, 245760, 9216000],
+        [30, 552960, 20736000], [31, 983040, 36864000], [40, 2228224, 83558400], [41, 2228224, 160432128],
+        [50, 8912896, 311951360], [51, 8912896, 588251136], [52, 8912896, 1176502272],
+        [60, 35651584, 1176502272], [61, 35651584, 2353004544], [62, 35651584, 4706009088]
+    ];
+    const spanUs = frames.length > 1 ? frames[frames.length - 1].timestamp - frames[0].timestamp : 0;
+    const frameRate = spanUs > 0 ? (frames.length - 1) * 1000000 / spanUs : 30;
+    const pictureSize = width * height;
+    const sampleRate = pictureSize * frameRate;
     
-    // Apply 16:9 aspect ratio constraint
-    const aspectRatio = 16 / 9;
-    let finalWidth, finalHeight;
+    const level = levels.find(([, maxPictureSize, maxSampleRate]) => pictureSize <= maxPictureSize && sampleRate <= maxSampleRate);
+    return level ? level[0] : 0; // 0 means unspecified
+}
+
+function buildVisualSampleEntry(type, width, height, configBoxes) {
+    return MP4Writer.box(type, [
+        MP4Writer.zeros(6), MP4Writer.u16(1),        // reserved, data reference index
+        MP4Writer.zeros(16),
+        MP4Writer.u16(width), MP4Writer.u16(height),
+        MP4Writer.u32(0x00480000), MP4Writer.u32(0x00480000), // 72 dpi
+        MP4Writer.u32(0),
+        MP4Writer.u16(1),                            // frame count
+        MP4Writer.zeros(32),                         // compressor name
+        MP4Writer.u16(0x0018),                       // depth
+        MP4Writer.u16(0xFFFF),
+        ...configBoxes
+    ]);
+}
+
+// Opus in MP4: 'Opus' sample entry with a dOps box made from the WebM OpusHead
+function buildOpusSampleEntry(track) {
+    const head = track.codecPrivate;
+    const hasHead = head && head.length >= 19;
+    const headView = hasHead ? new DataView(head.buffer, head.byteOffset, head.byteLength) : null;
+    const channels = hasHead ? head[9] : (track.channels || 2);
+    const preSkip = hasHead ? headView.getUint16(10, true) : 312;
+    const inputRate = hasHead ? headView.getUint32(12, true) : 48000;
+    const gain = hasHead ? headView.getInt16(16, true) : 0;
+    const mappingFamily = hasHead ? head[18] : 0;
     
-    // Determine which dimension to constrain based on aspect ratio
-    if (rawWidth / rawHeight > aspectRatio) {
-        // Width is too large, constrain by height
-        finalHeight = rawHeight;
-        finalWidth = finalHeight * aspectRatio;
-    } else {
-        // Height is too large, constrain by width
-        finalWidth = rawWidth;
-        finalHeight = finalWidth / aspectRatio;
-    }
+    const dOps = MP4Writer.box('dOps', [
+        MP4Writer.u8(0),
+        MP4Writer.u8(channels),
+        MP4Writer.u16(preSkip),
+        MP4Writer.u32(inputRate),
+        MP4Writer.u16(gain),
+        MP4Writer.u8(mappingFamily),
+        mappingFamily !== 0 && hasHead ? head.subarray(19) : null
+    ]);
     
-    // Calculate position based on drag direction
-    let finalX, finalY;
+    return MP4Writer.box('Opus', [
+        MP4Writer.zeros(6), MP4Writer.u16(1),
+        MP4Writer.zeros(8),
+        MP4Writer.u16(channels),
+        MP4Writer.u16(16),                           // sample size
+        MP4Writer.zeros(4),
+        MP4Writer.u32(48000 * 65536),                // Opus always decodes at 48kHz
+        dOps
+    ]);
+}
+
+// Copy the encoded streams of a MediaRecorder WebM into a fragmented MP4 - no re-encoding.
+// Only codecs MP4 can carry are accepted (H.264/VP9 video, Opus audio).
+async function remuxWebMToMP4(blob) {
+    const demuxer = new WebMDemuxer(await blob.arrayBuffer()).parse();
+    const tracks = [];
+    const sampleSources = [];
     
-    if (currentX >= currentCropSession.startX) {
-        // Dragging right
-        finalX = currentCropSession.startX;
-    } else {
-        // Dragging left
-        finalX = currentCropSession.startX - finalWidth;
+    const videoTrack = demuxer.videoTrack;
+    if (videoTrack) {
+        const frames = demuxer.framesForTrack(videoTrack.number);
+        let codec;
+        let sampleEntry;
+        let convert = data => data;
+        
+        if (videoTrack.codecId === 'V_MPEG4/ISO/AVC') {
+            const hasAvcC = videoTrack.codecPrivate && videoTrack.codecPrivate[0] === 1;
+            codec = 'avc1';
+            const avcC = hasAvcC ? videoTrack.codecPrivate : buildAvcDecoderConfig(frames.find(frame => frame.keyframe).data);
+            sampleEntry = buildVisualSampleEntry(codec, videoTrack.width, videoTrack.height, [MP4Writer.box('avcC', [avcC])]);
+            if (!hasAvcC) {
+                convert = data => isAnnexB(data) ? annexBToLengthPrefixed(data) : data;
+            }
+        } else if (videoTrack.codecId === 'V_VP9') {
+            codec = 'vp09';
+            const vpcC = MP4Writer.fullBox('vpcC', 1, 0, [
+                new Uint8Array([0, getVp9Level(videoTrack.width, videoTrack.height, frames), (8 << 4) | (1 << 1), 1, 1, 1]), // profile 0, 8-bit 4:2:0, BT.709
+                MP4Writer.u16(0)
+            ]);
+            sampleEntry = buildVisualSampleEntry(codec, videoTrack.width, videoTrack.height, [vpcC]);
+        } else {
+            throw new Error(`${videoTrack.codecId.replace(/^V_/, '')} video can't be stored in MP4`);
+        }
+        
+        tracks.push({
+            id: 1,
+            kind: 'video',
+            codec,
+            timescale: 90000,
+            width: videoTrack.width,
+            height: videoTrack.height,
+            sampleEntry
+        });
+        sampleSources.push({ id: 1, frames, convert });
     }
     
-    if (currentY >= currentCropSession.startY) {
-        // Dragging down
-        finalY = currentCropSession.startY;
-    } else {
-        // Dragging up
-        finalY = currentCropSession.startY - finalHeight;
+    const audioTrack = demuxer.audioTrack;
+    if (audioTrack) {
+        if (audioTrack.codecId !== 'A_OPUS') {
+            throw new Error(`${audioTrack.codecId.replace(/^A_/, '')} audio can't be stored in MP4`);
+        }
+        tracks.push({
+            id: tracks.length + 1,
+            kind: 'audio',
+            codec: 'Opus',
+            timescale: 48000,
+            sampleEntry: buildOpusSampleEntry(audioTrack)
+        });
+        sampleSources.push({ id: tracks.length, frames: demuxer.framesForTrack(audioTrack.number), convert: data => data });
     }
     
-    // Ensure the crop area stays within bounds
-    finalX = Math.max(0, Math.min(finalX, rect.width - finalWidth));
-    finalY = Math.max(0, Math.min(finalY, rect.height - finalHeight));
-    
-    // If we hit a boundary, recalculate dimensions to fit
-    const availableWidth = rect.width - finalX;
-    const availableHeight = rect.height - finalY;
-    
-    if (finalWidth > availableWidth) {
-        finalWidth = availableWidth;
-        finalHeight = finalWidth / aspectRatio;
-    }
-    if (finalHeight > availableHeight) {
-        finalHeight = availableHeight;
-        finalWidth = finalHeight * aspectRatio;
+    if (tracks.length === 0) {
+        throw new Error('No tracks to convert');
     }
     
-    currentCropSession.cropRect = {
-        x: finalX,
-        y: finalY,
-        width: finalWidth,
-        height: finalHeight
-    };
-    
-    updateCropSelection();
+    const muxer = new FragmentedMP4Muxer({ tracks });
+    sampleSources.forEach(source => {
+        source.frames.forEach(frame => muxer.addSample(source.id, { ...frame, data: source.convert(frame.data) }));
+    });
+    return muxer.finalize();
 }
 
-function endDrag(e) {
-    if (!currentCropSession) return;
-    
-    currentCropSession.isDragging = false;
-    currentCropSession.dragStarted = false;
-    
-    // Reset cursor to default
-    const overlay = document.getElementById('crop-overlay');
-    overlay.style.cursor = 'default';
+// WebM is a restricted Matroska, so the same streams under a 'matroska' DocType make a proper MKV
+async function remuxWebMToMatroska(blob) {
+    const demuxer = new WebMDemuxer(await blob.arrayBuffer()).parse();
+    const muxer = new WebMMuxer({ docType: 'matroska', tracks: demuxer.tracks });
+    demuxer.frames.forEach(frame => muxer.addFrame(frame.track, frame));
+    return muxer.finalize('video/x-matroska');
+}
+
+// Whether a WebM/Matroska file already has a cue index, judged from the elements before its first cluster
+async function isSeekableWebM(blob) {
+    const head = new WebMDemuxer(await blob.slice(0, 65536).arrayBuffer());
+    let pos = 0;
     
-    // Only apply minimum size if a drag actually occurred
-    if (currentCropSession.cropRect.width > 0 && currentCropSession.cropRect.height > 0) {
-        // Ensure minimum size while maintaining 16:9 aspect ratio
-        const aspectRatio = 16 / 9;
-        const minWidth = 80;  // Minimum width for 16:9 ratio
-        const minHeight = minWidth / aspectRatio;
+    while (pos < head.bytes.length) {
+        const header = head.readElementHeader(pos);
+        if (!header) return false;
         
-        if (currentCropSession.cropRect.width < minWidth) {
-            currentCropSession.cropRect.width = minWidth;
-            currentCropSession.cropRect.height = minHeight;
+        if (header.id === EBML_IDS.Segment) {
+            if (header.size === -1) return false; // still in its streaming form
+            
+            let childPos = header.dataStart;
+            while (childPos < head.bytes.length) {
+                const child = head.readElementHeader(childPos);
+                if (!child || child.size === -1 || child.id === EBML_IDS.Cluster) return false;
+                if (child.id === EBML_IDS.Cues) return true;
+                
+                if (child.id === EBML_IDS.SeekHead) {
+                    let hasCues = false;
+                    head.forEachChild(child.dataStart, head.clampEnd(child), seek => {
+                        head.forEachChild(seek.dataStart, head.clampEnd(seek), entry => {
+                            if (entry.id === EBML_IDS.SeekID && head.readUint(entry.dataStart, entry.end) === EBML_IDS.Cues) {
+                                hasCues = true;
+                            }
+                        });
+                    });
+                    if (hasCues) return true;
+                }
+                childPos = child.end;
+            }
+            return false;
         }
-        if (currentCropSession.cropRect.height < minHeight) {
-            currentCropSession.cropRect.height = minHeight;
-            currentCropSession.cropRect.width = minWidth;
+        pos = header.end;
+    }
+    return false;
+}
+
+// MediaRecorder writes WebM as a stream: unknown sizes, no duration and no cues, so players can't
+// seek it or show its length. Copying the frames into a fresh file fixes all three without re-encoding.
+// Never fails - the original blob is returned if it can't be rewritten.
+async function makeWebMSeekable(blob) {
+    try {
+        if (await isSeekableWebM(blob)) {
+            return blob;
+        }
+        if (blob.size > CONFIG.SEEKABLE_REWRITE_LIMIT_BYTES) {
+            console.warn(`Keeping ${(blob.size / 1024 / 1024).toFixed(0)}MB WebM without cues to avoid holding it in memory twice`);
+            return blob;
         }
         
-        // Final boundary check to ensure crop area is within video bounds
-        const video = document.getElementById('crop-video');
-        const videoRect = video.getBoundingClientRect();
-        const overlayRect = overlay.getBoundingClientRect();
-        
-        // Adjust position if crop area extends beyond video bounds
-        const maxX = overlayRect.width - currentCropSession.cropRect.width;
-        const maxY = overlayRect.height - currentCropSession.cropRect.height;
-        
-        currentCropSession.cropRect.x = Math.max(0, Math.min(currentCropSession.cropRect.x, maxX));
-        currentCropSession.cropRect.y = Math.max(0, Math.min(currentCropSession.cropRect.y, maxY));
-        
-        updateCropSelection();
-        
-        // Provide haptic feedback on supported devices
-        if (navigator.vibrate) {
-            navigator.vibrate(50); // Short vibration for feedback
+        const demuxer = new WebMDemuxer(await blob.arrayBuffer()).parse();
+        const muxer = new WebMMuxer({ docType: demuxer.docType, tracks: demuxer.tracks });
+        demuxer.frames.forEach(frame => muxer.addFrame(frame.track, frame));
+        return muxer.finalize(blob.type || undefined);
+    } catch (error) {
+        console.warn('Could not add duration and cues to WebM:', error);
+        return blob;
+    }
+}
+
+// Talks to crop-worker.js: frames go in as VideoFrames and come back cropped as new VideoFrames
+class CropWorkerClient {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.worker = null;
+        this.pending = new Map(); // requestId -> { resolve, reject }; timestamps can repeat, ids can't
+        this.nextRequestId = 1;
+        this.webglEnabled = false;
+    }
+
+    init() {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker('crop-worker.js');
+            
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+                switch (message.type) {
+                    case 'init-success':
+                        this.webglEnabled = message.webglEnabled;
+                        resolve();
+                        break;
+                    case 'frame-processed': {
+                        const request = this.pending.get(message.requestId);
+                        this.pending.delete(message.requestId);
+                        if (request) request.resolve(message.frame);
+                        break;
+                    }
+                    case 'error': {
+                        const error = new Error(message.error);
+                        if (this.pending.has(message.requestId)) {
+                            this.pending.get(message.requestId).reject(error);
+                            this.pending.delete(message.requestId);
+                        } else {
+                            this.rejectAll(error);
+                            reject(error);
+                        }
+                        break;
+                    }
+                }
+            };
+            this.worker.onerror = (event) => {
+                const error = new Error('Crop worker failed: ' + (event.message || 'unknown error'));
+                this.rejectAll(error);
+                reject(error);
+            };
+            
+            const canvas = new OffscreenCanvas(this.width, this.height);
+            this.worker.postMessage({ type: 'init', data: { canvas } }, [canvas]);
+        });
+    }
+
+    cropFrame(frame, cropParams) {
+        return new Promise((resolve, reject) => {
+            const requestId = this.nextRequestId++;
+            this.pending.set(requestId, { resolve, reject });
+            this.worker.postMessage(
+                { type: 'process-frame', data: { frame, cropParams, frameTime: frame.timestamp, requestId } },
+                [frame]
+            );
+        });
+    }
+
+    rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
         }
+        this.rejectAll(new Error('Crop worker terminated'));
     }
 }
 
-function updateCropSelection() {
-    if (!currentCropSession) return;
+function isWebCodecsCropSupported() {
+    return typeof VideoDecoder !== 'undefined' &&
+        typeof VideoEncoder !== 'undefined' &&
+        typeof EncodedVideoChunk !== 'undefined' &&
+        typeof VideoFrame !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof Worker !== 'undefined';
+}
+
+// H.264 codec string (avc1.PPCCLL) from an avcC record or from the first SPS in an Annex B frame
+function getAvcCodecString(codecPrivate, keyframeData) {
+    let profileBytes = null;
+    if (codecPrivate && codecPrivate.length >= 4 && codecPrivate[0] === 1) {
+        profileBytes = codecPrivate.subarray(1, 4);
+    } else if (keyframeData) {
+        for (let i = 0; i + 4 < keyframeData.length; i++) {
+            const isStartCode = keyframeData[i] === 0 && keyframeData[i + 1] === 0 && keyframeData[i + 2] === 1;
+            if (isStartCode && (keyframeData[i + 3] & 0x1F) === 7) {
+                profileBytes = keyframeData.subarray(i + 4, i + 7);
+                break;
+            }
+        }
+    }
+    if (!profileBytes || profileBytes.length < 3) return 'avc1.42E01F';
+    return 'avc1.' + Array.from(profileBytes).map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function getWebCodecsDecoderConfig(track, firstKeyframe) {
+    const config = { codedWidth: track.width, codedHeight: track.height };
+    switch (track.codecId) {
+        case 'V_VP8':
+            return { ...config, codec: 'vp8' };
+        case 'V_VP9':
+            return { ...config, codec: 'vp09.00.10.08' };
+        case 'V_AV1':
+            return { ...config, codec: 'av01.0.08M.08' };
+        case 'V_MPEG4/ISO/AVC': {
+            const avcConfig = { ...config, codec: getAvcCodecString(track.codecPrivate, firstKeyframe && firstKeyframe.data) };
+            // With an avcC record frames are length-prefixed, without one they're Annex B
+            if (track.codecPrivate && track.codecPrivate[0] === 1) {
+                avcConfig.description = track.codecPrivate;
+            }
+            return avcConfig;
+        }
+        default:
+            return null;
+    }
+}
+
+// First encoder config this browser accepts for the cropped output
+async function pickWebCodecsEncoderConfig(width, height) {
+    const candidates = [
+        { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+        { codec: 'vp8', codecId: 'V_VP8' }
+    ];
+    
+    for (const candidate of candidates) {
+        const config = {
+            codec: candidate.codec,
+            width,
+            height,
+            bitrate: 8000000, // same target as the real-time crop path
+            framerate: 30
+        };
+        try {
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (support.supported) {
+                return { config, codecId: candidate.codecId };
+            }
+        } catch (error) {
+            console.warn(`Encoder config ${candidate.codec} rejected:`, error);
+        }
+    }
+    return null;
+}
+
+// Faster-than-realtime crop: demux the WebM, decode with VideoDecoder, crop each frame in
+// crop-worker.js and re-encode with VideoEncoder. Audio packets are copied across untouched.
+async function processWebCodecsCrop(videoBlob, cropParams, { job = null, range = null } = {}) {
+    const { left, right, top, bottom } = cropParams;
+    // Optional trim range, in microseconds to match frame timestamps
+    const startUs = range ? Math.round(range.start * 1000000) : 0;
+    const endUs = range ? Math.round(range.end * 1000000) : Infinity;
+    
+    const demuxer = new WebMDemuxer(await videoBlob.arrayBuffer()).parse();
+    const videoTrack = demuxer.videoTrack;
+    if (!videoTrack || !videoTrack.width || !videoTrack.height) {
+        throw new Error('No video track found');
+    }
+    
+    const allVideoFrames = demuxer.framesForTrack(videoTrack.number);
+    if (allVideoFrames.length === 0 || !allVideoFrames[0].keyframe) {
+        throw new Error('Video does not start with a keyframe');
+    }
+    
+    // Decoding has to start from the last keyframe at or before the in point
+    let firstFrameIndex = 0;
+    allVideoFrames.forEach((frame, index) => {
+        if (frame.keyframe && frame.timestamp <= startUs) {
+            firstFrameIndex = index;
+        }
+    });
+    const videoFrames = allVideoFrames.slice(firstFrameIndex).filter(frame => frame.timestamp < endUs);
+    
+    const decoderConfig = getWebCodecsDecoderConfig(videoTrack, videoFrames[0]);
+    if (!decoderConfig || !(await VideoDecoder.isConfigSupported(decoderConfig)).supported) {
+        throw new Error(`WebCodecs can't decode ${videoTrack.codecId}`);
+    }
+    
+    // Encoders want even dimensions for 4:2:0 video
+    const cropWidth = videoTrack.width - left - right;
+    const cropHeight = videoTrack.height - top - bottom;
+    if (cropWidth <= 1 || cropHeight <= 1) {
+        throw new Error('Invalid crop dimensions. Check your crop values.');
+    }
+    if (cropWidth > 4000 || cropHeight > 4000) {
+        throw new Error('Resulting video dimensions too large. Try smaller crop area.');
+    }
+    const outputWidth = cropWidth - (cropWidth % 2);
+    const outputHeight = cropHeight - (cropHeight % 2);
+    
+    const encoderChoice = await pickWebCodecsEncoderConfig(outputWidth, outputHeight);
+    if (!encoderChoice) {
+        throw new Error('No supported WebCodecs encoder for the cropped size');
+    }
+    
+    // Audio doesn't need re-encoding - copy the packets with their original timestamps
+    const audioTrack = demuxer.audioTrack;
+    const muxer = new WebMMuxer({
+        tracks: [
+            { number: 1, type: 1, codecId: encoderChoice.codecId, width: outputWidth, height: outputHeight },
+            ...(audioTrack ? [{ ...audioTrack, number: 2 }] : [])
+        ]
+    });
+    if (audioTrack) {
+        demuxer.framesForTrack(audioTrack.number)
+            .filter(frame => frame.timestamp >= startUs && frame.timestamp < endUs)
+            .forEach(frame => muxer.addFrame(2, { ...frame, timestamp: frame.timestamp - startUs }));
+    }
     
-    const selection = document.getElementById('crop-selection');
-    if (!selection) return;
+    if (job) job.throwIfCancelled();
+    const cropWorker = new CropWorkerClient(outputWidth, outputHeight);
+    await cropWorker.init();
     
-    const { x, y, width, height } = currentCropSession.cropRect;
+    const workerCropParams = { left, top, width: outputWidth, height: outputHeight, outputWidth, outputHeight };
+    const totalFrames = videoFrames.length;
+    let failure = null;
+    let inFlight = 0;
+    let processedFrames = 0;
+    let outputFrames = 0;
+    let lastKeyFrameTimestamp = -Infinity;
     
-    selection.style.left = x + 'px';
-    selection.style.top = y + 'px';
-    selection.style.width = width + 'px';
-    selection.style.height = height + 'px';
-    selection.style.display = 'block';
-}
-
-// Input field functions removed - now using drag-only interface
-
-function closeCropModal() {
-    if (currentCropSession && currentCropSession.videoElement) {
-        URL.revokeObjectURL(currentCropSession.videoElement.src);
-        currentCropSession.videoElement.src = '';
-        currentCropSession = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            muxer.addFrame(1, { timestamp: chunk.timestamp, keyframe: chunk.type === 'key', data });
+        },
+        error: (error) => { failure = failure || error; }
+    });
+    encoder.configure(encoderChoice.config);
+    
+    const decoder = new VideoDecoder({
+        output: (frame) => {
+            // Frames decoded only to reach the in point are dropped
+            if (frame.timestamp < startUs || frame.timestamp >= endUs) {
+                frame.close();
+                processedFrames++;
+                if (job) job.reportProgress(processedFrames / totalFrames);
+                return;
+            }
+            
+            inFlight++;
+            cropWorker.cropFrame(frame, workerCropParams)
+                .then(croppedFrame => {
+                    // Trimmed output starts at zero
+                    let outputFrame = croppedFrame;
+                    if (startUs > 0) {
+                        outputFrame = new VideoFrame(croppedFrame, { timestamp: croppedFrame.timestamp - startUs });
+                        croppedFrame.close();
+                    }
+                    
+                    // Keyframe every 2 seconds for faster seeking, same as the real-time path
+                    const keyFrame = outputFrame.timestamp - lastKeyFrameTimestamp >= 2000000;
+                    if (keyFrame) {
+                        lastKeyFrameTimestamp = outputFrame.timestamp;
+                    }
+                    if (encoder.state === 'configured') {
+                        encoder.encode(outputFrame, { keyFrame });
+                    }
+                    outputFrame.close();
+                    
+                    outputFrames++;
+                    processedFrames++;
+                    if (job) job.reportProgress(processedFrames / totalFrames);
+                })
+                .catch(error => { failure = failure || error; })
+                .finally(() => { inFlight--; });
+        },
+        error: (error) => { failure = failure || error; }
+    });
+    decoder.configure(decoderConfig);
+    
+    // Cancelling stops the pipeline at the next check and the finally block tears it down
+    if (job) {
+        job.onCancel(() => {
+            failure = failure || new CropCancelledError();
+        });
     }
-    document.getElementById('crop-modal').style.display = 'none';
-}
-
-async function applyCrop() {
-    if (!currentCropSession) return;
+    
+    // Keep a handful of frames in each stage so memory stays flat on long videos
+    const waitForPipeline = () => new Promise(resolve => setTimeout(resolve, 1));
+    const isBackedUp = () => decoder.decodeQueueSize > 8 || inFlight > 8 || encoder.encodeQueueSize > 8;
     
     try {
-        const { recording, videoElement } = currentCropSession;
-        
-        // Calculate crop values from drag selection
-        const video = document.getElementById('crop-video');
-        const videoRect = video.getBoundingClientRect();
-        const { x, y, width, height } = currentCropSession.cropRect;
-        
-        // Convert from display coordinates to video coordinates
-        const scaleX = video.videoWidth / videoRect.width;
-        const scaleY = video.videoHeight / videoRect.height;
-        
-        const left = Math.round(x * scaleX);
-        const top = Math.round(y * scaleY);
-        const right = Math.round((videoRect.width - (x + width)) * scaleX);
-        const bottom = Math.round((videoRect.height - (y + height)) * scaleY);
-        
-        // Validate crop values
-        if (left < 0 || right < 0 || top < 0 || bottom < 0) {
-            stateManager.showAlert('Crop values cannot be negative', 'error');
-            return;
+        for (const frame of videoFrames) {
+            while (!failure && isBackedUp()) {
+                await waitForPipeline();
+            }
+            if (failure) throw failure;
+            
+            decoder.decode(new EncodedVideoChunk({
+                type: frame.keyframe ? 'key' : 'delta',
+                timestamp: frame.timestamp,
+                data: frame.data
+            }));
         }
         
-        // Show applying message
-        stateManager.showAlert('Applying crop...', 'success');
-        
-        // Add progress indicator above the instruction text
-        const cropInstructions = document.querySelector('.crop-instructions');
-        const progressDiv = document.createElement('div');
-        progressDiv.id = 'crop-progress';
-        progressDiv.style.cssText = `
-            background: rgba(26, 26, 26, 0.95);
-            color: white;
-            padding: 15px 20px;
-            border-radius: 6px;
-            text-align: center;
-            font-size: 14px;
-            font-weight: 400;
-            margin-bottom: 15px;
-            border: 1px solid #404040;
-            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
-        `;
-        
-        // Insert the progress div before the instruction text
-        cropInstructions.insertBefore(progressDiv, cropInstructions.firstChild);
-        
-        progressDiv.innerHTML = `
-            <div style="display: flex; align-items: center; justify-content: center; gap: 10px; margin-bottom: 12px;">
-                <div class="loading-spinner" style="width: 16px; height: 16px; border: 2px solid #404040; border-top: 2px solid #ff6b35; border-radius: 50%; animation: spin 1s linear infinite;"></div>
-                <span style="font-size: 16px; font-weight: 500;">Cropping Video</span>
-            </div>
-            <div style="background: #333; border-radius: 6px; height: 6px; margin-bottom: 8px; overflow: hidden;">
-                <div id="crop-progress-bar" style="background: linear-gradient(90deg, #ff6b35, #f7931e); height: 100%; width: 0%; transition: width 0.5s ease; border-radius: 6px;"></div>
-            </div>
-            <div id="crop-progress-text" style="font-size: 12px; color: #ccc;">0%</div>
-        `;
-        
-        // Add spinner animation CSS
-        if (!document.getElementById('spinner-style')) {
-            const style = document.createElement('style');
-            style.id = 'spinner-style';
-            style.textContent = `
-                @keyframes spin {
-                    0% { transform: rotate(0deg); }
-                    100% { transform: rotate(360deg); }
-                }
-            `;
-            document.head.appendChild(style);
+        await decoder.flush();
+        while (!failure && inFlight > 0) {
+            await waitForPipeline();
         }
-        
-        
-        // Store progress elements for updates
-         window.cropProgressBar = document.getElementById('crop-progress-bar');
-         window.cropProgressText = document.getElementById('crop-progress-text');
-         
-         // Implement 10-second incremental progress system
-         let simulatedProgress = 0;
-         const progressInterval = setInterval(() => {
-             if (simulatedProgress < 80) {
-                 simulatedProgress += 10;
-                 if (window.cropProgressBar && window.cropProgressText) {
-                     window.cropProgressBar.style.width = simulatedProgress + '%';
-                     window.cropProgressText.textContent = simulatedProgress + '%';
-                 }
-             } else {
-                 clearInterval(progressInterval);
-             }
-         }, 10000); // Every 10 seconds
-         
-         // Store interval for cleanup
-         window.cropProgressInterval = progressInterval;
-        
-        let croppedBlob;
-         try {
-             // Process video using canvas
-             croppedBlob = await processSimpleCrop(recording.blob, { left, right, top, bottom });
-             
-             // Clear progress interval and remove progress indicator
-             if (window.cropProgressInterval) {
-                 clearInterval(window.cropProgressInterval);
-                 window.cropProgressInterval = null;
-             }
-             if (progressDiv && progressDiv.parentNode) {
-                 progressDiv.parentNode.removeChild(progressDiv);
-             }
-         } catch (error) {
-             // Clear progress interval and remove progress indicator on error
-             if (window.cropProgressInterval) {
-                 clearInterval(window.cropProgressInterval);
-                 window.cropProgressInterval = null;
-             }
-             if (progressDiv && progressDiv.parentNode) {
-                 progressDiv.parentNode.removeChild(progressDiv);
-             }
-             throw error;
-         }
-        
-        // Update the original recording in-place
-        recording.blob = croppedBlob;
-        recording.size = croppedBlob.size;
-        recording.timestamp = new Date().toISOString();
-        recording.isEdited = true;
-        recording.editHistory = recording.editHistory || [];
-        recording.editHistory.push({
-            type: 'crop',
-            timestamp: new Date().toISOString(),
-            params: { left, right, top, bottom }
-        });
-        
-        // Delete the old record and save the updated one
-        await stateManager.dbManager.deleteRecording(recording.id);
-        await stateManager.dbManager.saveRecording(recording);
-        
-        // Refresh UI
-        await loadSavedRecordings();
-        closeCropModal();
-        
-        stateManager.showAlert('Video edited successfully! Original has been updated.');
-        
-    } catch (error) {
-        console.error('Crop processing failed:', error);
-        stateManager.showAlert('Crop processing failed: ' + error.message, 'error');
+        if (failure) throw failure;
+        await encoder.flush();
+    } finally {
+        cropWorker.terminate();
+        if (decoder.state !== 'closed') decoder.close();
+        if (encoder.state !== 'closed') encoder.close();
+    }
+    
+    if (failure) throw failure;
+    if (outputFrames === 0) {
+        throw new Error('Processing resulted in empty video. Try different crop settings.');
     }
+    
+    return muxer.finalize();
 }
 
-// Simple canvas-based crop processing with optimization for larger videos
-async function processSimpleCrop(videoBlob, cropParams) {
-    return new Promise((resolve, reject) => {
-        const { left, right, top, bottom } = cropParams;
-        
-        // Check video size and warn for large files
-        const videoSizeMB = videoBlob.size / (1024 * 1024);
-        if (videoSizeMB > 50) {
-            console.warn(`Processing large video: ${videoSizeMB.toFixed(1)}MB`);
+// Use the WebCodecs pipeline when the browser has it, otherwise (or if it fails) play the video in real time.
+// Trims go through here too: options.range limits the output and the crop can be all zeros.
+async function processCrop(videoBlob, cropParams, options = {}) {
+    if (isWebCodecsCropSupported()) {
+        try {
+            return await processWebCodecsCrop(videoBlob, cropParams, options);
+        } catch (error) {
+            if (error instanceof CropCancelledError) throw error;
+            console.warn('WebCodecs crop failed, falling back to real-time crop:', error);
         }
-        
-        // Create video element
-        const video = document.createElement('video');
-        video.src = URL.createObjectURL(videoBlob);
-        video.muted = true;
-        video.preload = 'metadata';
-        
-        // Remove timeout - allow unlimited processing time
-        // Processing will continue until completion regardless of duration
-        
-        video.onloadedmetadata = () => {
-            try {
-                const originalWidth = video.videoWidth;
-                const originalHeight = video.videoHeight;
-                
-                // Calculate new dimensions
-                const newWidth = originalWidth - left - right;
-                const newHeight = originalHeight - top - bottom;
-                
-                if (newWidth <= 0 || newHeight <= 0) {
-                    URL.revokeObjectURL(video.src);
-                    reject(new Error('Invalid crop dimensions. Check your crop values.'));
-                    return;
-                }
-                
-                // Check if resulting video would be too large
-                if (newWidth > 4000 || newHeight > 4000) {
-                    URL.revokeObjectURL(video.src);
-                    reject(new Error('Resulting video dimensions too large. Try smaller crop area.'));
-                    return;
-                }
-                
-                // Create canvas with optimized settings for MacBook performance
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d', { 
-                    alpha: false,
-                    desynchronized: true,  // Better performance on MacBook
-                    powerPreference: 'high-performance',  // Use dedicated GPU if available
-                    willReadFrequently: false  // Optimize for write operations
-                });
-                canvas.width = newWidth;
-                canvas.height = newHeight;
-                
-                // Enable hardware acceleration hints
-                ctx.imageSmoothingEnabled = false;  // Faster pixel-perfect copying
-                ctx.imageSmoothingQuality = 'high';  // High quality when smoothing is needed
-                
-                // Set up MediaRecorder with optimized settings for faster processing
-                const stream = canvas.captureStream(30); // Limited to 30fps for performance
-                // Prefer VP8 for faster encoding over VP9 (better for MacBook performance)
-                let mimeType = 'video/webm;codecs=vp8';
-                if (!MediaRecorder.isTypeSupported(mimeType)) {
-                    mimeType = 'video/webm;codecs=vp9';
-                    if (!MediaRecorder.isTypeSupported(mimeType)) {
-                        mimeType = 'video/webm';
-                    }
-                }
-                
-                // Optimized settings for MacBook Chrome performance
-                const recorder = new MediaRecorder(stream, {
-                    mimeType: mimeType,
-                    videoBitsPerSecond: 8000000,  // 8 Mbps for high quality 1080p 30fps
-                    // Hardware acceleration hints for better performance
-                    videoKeyFrameIntervalDuration: 2000  // Keyframe every 2 seconds for faster seeking
-                });
-                
-                const chunks = [];
-                let frameCount = 0;
-                
-                recorder.ondataavailable = (e) => {
-                    if (e.data.size > 0) {
-                        chunks.push(e.data);
-                    }
-                };
-                
-                recorder.onstop = () => {
-                     try {
-                         // Clear the simulated progress interval
-                         if (window.cropProgressInterval) {
-                             clearInterval(window.cropProgressInterval);
-                             window.cropProgressInterval = null;
-                         }
-                         
-                         // Complete the progress bar
-                         if (window.cropProgressBar && window.cropProgressText) {
-                             window.cropProgressBar.style.width = '100%';
-                             window.cropProgressText.textContent = '100%';
-                         }
-                         
-                         const croppedBlob = new Blob(chunks, { type: mimeType.split(';')[0] });
-                         URL.revokeObjectURL(video.src);
-                         
-                         // Clean up progress references
-                         window.cropProgressBar = null;
-                         window.cropProgressText = null;
-                         
-                         if (croppedBlob.size === 0) {
-                             reject(new Error('Processing resulted in empty video. Try different crop settings.'));
-                         } else {
-                             resolve(croppedBlob);
-                         }
-                     } catch (error) {
-                         URL.revokeObjectURL(video.src);
-                         window.cropProgressBar = null;
-                         window.cropProgressText = null;
-                         reject(new Error('Failed to create cropped video: ' + error.message));
-                     }
-                 };
-                
-                recorder.onerror = (event) => {
-                     // Clear the simulated progress interval
-                     if (window.cropProgressInterval) {
-                         clearInterval(window.cropProgressInterval);
-                         window.cropProgressInterval = null;
-                     }
-                     
-                     URL.revokeObjectURL(video.src);
-                     window.cropProgressBar = null;
-                     window.cropProgressText = null;
-                     reject(new Error('Recording failed: ' + (event.error?.message || 'Unknown error')));
-                 };
-                
-                // Start recording with optimized data collection for MacBook
-                recorder.start(250); // Collect data every 250ms for faster processing on MacBook
-                
-                let lastRenderTime = 0;
-                const targetFrameTime = 1000 / 30; // 30fps = ~33.33ms per frame
-                
-                const renderFrame = (currentTime) => {
-                     if (video.ended || video.paused) {
-                         recorder.stop();
-                         return;
-                     }
-                     
-                     // Frame rate limiting for consistent 30fps processing
-                     if (currentTime - lastRenderTime >= targetFrameTime) {
-                         try {
-                             // Draw cropped frame with error handling
-                             ctx.drawImage(
-                                 video,
-                                 left, top, newWidth, newHeight,
-                                 0, 0, newWidth, newHeight
-                             );
-                             frameCount++;
-                             lastRenderTime = currentTime;
-                             
-                             // Update progress bar based on video progress
-                             if (video.duration > 0) {
-                                 const progress = Math.min(100, (video.currentTime / video.duration) * 100);
-                                 if (window.cropProgressBar && window.cropProgressText) {
-                                     window.cropProgressBar.style.width = progress + '%';
-                                     window.cropProgressText.textContent = Math.round(progress) + '%';
-                                 }
-                             }
-                             
-                             // Optimized memory management for MacBook performance
-                             if (frameCount % 300 === 0 && window.gc) {
-                                 window.gc(); // More frequent garbage collection for better MacBook performance
-                             }
-                             
-                             // Yield control to browser for smoother performance
-                             if (frameCount % 60 === 0) {
-                                 // Use setTimeout to yield control without blocking
-                                 setTimeout(() => {}, 0);
-                             }
-                             
-                         } catch (drawError) {
-                             console.warn('Frame draw error:', drawError);
-                         }
-                     }
-                     
-                     requestAnimationFrame(renderFrame);
-                 };
-                 
-                 // Start the render loop with proper timing
-                 requestAnimationFrame(renderFrame);
-                 
-                 // Remove ontimeupdate as we're using requestAnimationFrame for better control
-                 // video.ontimeupdate = renderFrame;
-                
-                // Start playback
-                video.play().catch(playError => {
-                    clearTimeout(timeout);
-                    URL.revokeObjectURL(video.src);
-                    reject(new Error('Failed to play video: ' + playError.message));
-                });
-                
-            } catch (setupError) {
-                 clearTimeout(timeout);
-                 URL.revokeObjectURL(video.src);
-                 window.cropProgressBar = null;
-                 window.cropProgressText = null;
-                 reject(new Error('Setup failed: ' + setupError.message));
-             }
-         };
-         
-         video.onerror = (event) => {
-             clearTimeout(timeout);
-             URL.revokeObjectURL(video.src);
-             window.cropProgressBar = null;
-             window.cropProgressText = null;
-             reject(new Error('Failed to load video. The file may be corrupted or too large.'));
-         };
-         
-         video.onabort = () => {
-             clearTimeout(timeout);
-             URL.revokeObjectURL(video.src);
-             window.cropProgressBar = null;
-             window.cropProgressText = null;
-             reject(new Error('Video loading was aborted.'));
-         };
-    });
+    }
+    return processSimpleCrop(videoBlob, cropParams, options);
 }
 
 // INITIALIZE GLOBAL STATE
+const settingsManager = new SettingsManager();
 const dbManager = new IndexedDBManager();
 const stateManager = new RecordingStateManager();
 const thumbnailEngine = new ThumbnailCaptureEngine(stateManager);
@@ -2210,6 +8675,11 @@ document.addEventListener('click', function(event) {
     }
 });
 
+// Gain sliders pause card refreshes while dragged; release them wherever the pointer ends up
+document.addEventListener('pointerup', function() {
+    stateManager.isAdjustingGain = false;
+});
+
 // Close dropdown on escape key
 document.addEventListener('keydown', function(event) {
     if (event.key === 'Escape') {
@@ -2222,9 +8692,22 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Initialize IndexedDB and load recordings
     try {
         await stateManager.dbManager.initDB();
+        await requestPersistentStorage();
+        await purgeExpiredTrash();
+        setInterval(async () => {
+            if (await purgeExpiredTrash() > 0) await loadSavedRecordings();
+        }, CONFIG.TRASH_PURGE_INTERVAL);
+        updateTrashButton();
+        initializeLibraryFilters();
         await loadSavedRecordings();
+        await applyRetentionRules();
+        await loadRecoverableSessions();
+        initializePreferenceControls();
+        initializeRecordingProfiles();
+        updateFormatNote();
         initializeCompilerTool();
         initializeDurationControls();
+        initializeMicrophonePicker();
         initializeNotepad();
     } catch (error) {
         console.error('Initialization failed:', error);
@@ -2350,14 +8833,17 @@ function initializeDurationControls() {
     const customInput = document.getElementById('custom-duration-input');
     const hiddenInput = document.getElementById('duration');
     
-    // Set initial values
-     updateSliderFromSeconds(300); // 5 minutes default
+    // Set initial values from the saved preference (5 minutes by default)
+    const savedSeconds = settingsManager.get('durationSeconds');
+    updateSliderFromSeconds(savedSeconds);
+    hiddenInput.value = savedSeconds;
     
     // Slider change handler
     slider.addEventListener('input', function() {
         const seconds = parseInt(this.value);
         updateCustomInputFromSeconds(seconds);
         hiddenInput.value = seconds;
+        settingsManager.set({ durationSeconds: seconds });
     });
     
     // Custom input change handler
@@ -2368,6 +8854,7 @@ function initializeDurationControls() {
             if (seconds <= 3600) { // Max 60 minutes
                 updateSliderFromSeconds(seconds);
                 hiddenInput.value = seconds;
+                settingsManager.set({ durationSeconds: seconds });
                 this.setCustomValidity('');
             } else {
                 this.setCustomValidity('Duration cannot exceed 60:00');
@@ -2454,6 +8941,10 @@ function initializeCompilerTool() {
     if (timeDropdown) {
         timeDropdown.addEventListener('change', updateCompilerTable);
     }
+    
+    if (settingsManager.get('expandCompilerOnLoad')) {
+        toggleCompilerTool();
+    }
 }
 
 function populateTimeDropdown() {
@@ -2511,6 +9002,17 @@ function getSelectedTimestamp() {
     return `${currentDate}T${selectedTime}:00`; // ISO 8601 format
 }
 
+// Quote for sh double quotes, so names with $ or backticks upload as written
+function quoteForShell(value) {
+    return `"${String(value).replace(/[\\"$`]/g, '\\$&')}"`;
+}
+
+// The ./upload.sh line for one recording - shown in the commands table and written into upload-all.sh
+function buildUploadCommand(recording, timestamp, filename = recording.filename) {
+    const filenameWithoutExt = recording.filename.replace(/\.[^/.]+$/, '');
+    return `./upload.sh -n ${quoteForShell(filenameWithoutExt)} -t ${quoteForShell(timestamp)} ${quoteForShell(filename)}`;
+}
+
 async function updateCompilerTable() {
     const tableBody = document.getElementById('compiler-table-body');
     if (!tableBody) return;
@@ -2528,23 +9030,23 @@ async function updateCompilerTable() {
         tableBody.innerHTML = '';
         
         recordings.forEach(recording => {
-            // Extract filename without extension
-            const filenameWithoutExt = recording.filename.replace(/\.[^/.]+$/, '');
-            
-            // Generate upload command using actual filename
-            const uploadCommand = `./upload.sh -n "${filenameWithoutExt}" -t "${timestamp}" "${recording.filename}"`;
+            const uploadCommand = buildUploadCommand(recording, timestamp);
             
             const row = document.createElement('tr');
             row.innerHTML = `
                 <td>
                     <div class="command-row">
-                        <button class="copy-btn" onclick="copyToClipboard('${uploadCommand.replace(/'/g, "\\'").replace(/"/g, '&quot;')}', this)"
+                        <button class="copy-btn" onclick="copyToClipboard('${uploadCommand.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/"/g, '&quot;')}', this)"
                                 title="Copy command to clipboard">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
                                 <path d="M16 1H4C2.9 1 2 1.9 2 3V17H4V3H16V1ZM19 5H8C6.9 5 6 5.9 6 7V21C6 22.1 6.9 23 8 23H19C20.1 23 21 22.1 21 21V7C21 5.9 20.1 5 19 5ZM19 21H8V7H19V21Z"/>
                             </svg>
                         </button>
-                        <span class="command-text" title="Click to select command">${uploadCommand}</span>
+                        <span class="command-text" title="Click to select command">${escapeHtml(uploadCommand)}</span>
+                        <button class="rename-btn upload-mark-btn" onclick="toggleRecordingUploaded(${recording.id})"
+                                title="${recording.uploadedAt ? `Uploaded ${new Date(recording.uploadedAt).toLocaleString()} - click to undo` : 'Mark as uploaded once the command has run'}">
+                            ${recording.uploadedAt ? 'Uploaded ✓' : 'Mark uploaded'}
+                        </button>
                     </div>
                 </td>
             `;